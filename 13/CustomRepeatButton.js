@@ -1,75 +1,208 @@
 /*
- * A more advanced custom button that generates repeated 'mousedown' events
- * for as long as it's held down. This approaches real spin box button
- * behavior.
+ * A more advanced custom button that raises repeated `repeat` events for as
+ * long as it's held down with a mouse, finger or pen, or while Space or Enter
+ * is held down on it. This approaches real spin box button behavior.
+ *
+ * The longer the button is held, the larger the step it asks for: the
+ * `stepMultiplier` property grows tenfold every `acceleration` milliseconds.
  */
 
+import { keydown } from "../lib/base/internal.js";
+import html from "../lib/core/html.js";
 import {
   defaultState,
   firstRender,
   ids,
   render,
+  rendered,
   setState,
   state,
+  template,
 } from "../lib/core/internal.js";
 import CustomButton from "./CustomButton.js";
 
-const initialTimeoutDuration = 500; // Wait a bit before starting repeats.
-const repeatIntervalDuration = 50; // Once repeats start, they go fast.
+const maxStepMultiplier = 100; // Don't let acceleration run away entirely.
+
+// Listener that stops a repeat when the window loses focus or is hidden.
+const stopListenerKey = Symbol("stopListener");
 
 export default class CustomRepeatButton extends CustomButton {
+  /**
+   * How long, in milliseconds, the button has to be held for the step
+   * multiplier to grow tenfold. Zero turns acceleration off.
+   *
+   * @type {number}
+   * @default 2000
+   */
+  get acceleration() {
+    return this[state].acceleration;
+  }
+  set acceleration(acceleration) {
+    const parsed = Number(acceleration);
+    this[setState]({ acceleration: parsed >= 0 ? parsed : 0 });
+  }
+
   get [defaultState]() {
     return {
       ...super[defaultState],
+      acceleration: 2000,
       interval: null,
+      repeatDelay: 500,
+      repeatInterval: 50,
+      repeatStartTime: null,
+      stepMultiplier: 1,
       timeout: null,
     };
   }
 
+  disconnectedCallback() {
+    if (super.disconnectedCallback) {
+      super.disconnectedCallback();
+    }
+    // Don't leave timers running if the button is removed while held down.
+    repeatStop(this);
+  }
+
+  // Holding Space or Enter repeats the same way holding the button down with a
+  // pointer does. The keyboard's own auto-repeat is ignored in favor of our
+  // timing.
+  [keydown](event) {
+    let handled;
+    if (event.key === " " || event.key === "Enter") {
+      if (event.repeat) {
+        handled = true;
+      } else {
+        repeatStart(this);
+      }
+    }
+
+    // Prefer mixin result if it's defined, otherwise use base result.
+    return handled || (super[keydown] && super[keydown](event));
+  }
+
   [render](changed) {
     super[render](changed);
     if (this[firstRender]) {
-      // Wire up event handlers.
-      // Only listen to mouse events with the primary (usually left) button.
+      // Wire up event handlers. Pointer events cover mouse, touch and pen
+      // alike. Capturing the pointer means we hear about its release even if
+      // that happens somewhere off the button.
+      // Only listen to the primary pointer and button (usually left).
       const inner = this[ids].inner;
-      inner.addEventListener("mousedown", (event) => {
-        if (event.button === 0) {
+      inner.addEventListener("pointerdown", (event) => {
+        if (event.isPrimary && event.button === 0) {
+          inner.setPointerCapture(event.pointerId);
           repeatStart(this);
         }
       });
-      inner.addEventListener("mouseup", (event) => {
-        if (event.button === 0) {
-          repeatStop(this);
-        }
+      inner.addEventListener("pointerup", () => {
+        repeatStop(this);
       });
-      inner.addEventListener("mouseleave", (event) => {
-        if (event.button === 0) {
-          repeatStop(this);
-        }
+      inner.addEventListener("pointercancel", () => {
+        repeatStop(this);
+      });
+      inner.addEventListener("lostpointercapture", () => {
+        repeatStop(this);
       });
 
-      // Treat touch events like mouse events.
-      inner.addEventListener("touchstart", () => {
-        repeatStart(this);
+      // Stop a keyboard repeat when the key comes up or the focus moves away.
+      this.addEventListener("keyup", (event) => {
+        if (event.key === " " || event.key === "Enter") {
+          repeatStop(this);
+        }
       });
-      inner.addEventListener("touchend", () => {
+      this.addEventListener("focusout", () => {
         repeatStop(this);
       });
     }
   }
+
+  [rendered](changed) {
+    super[rendered](changed);
+    // A button that's disabled while it's held down, e.g., by a spin box whose
+    // value has reached a limit, stops repeating.
+    if (changed.innerProperties && this[state].innerProperties.disabled) {
+      repeatStop(this);
+    }
+  }
+
+  /**
+   * How long, in milliseconds, the button has to be held before it starts
+   * repeating.
+   *
+   * @type {number}
+   * @default 500
+   */
+  get repeatDelay() {
+    return this[state].repeatDelay;
+  }
+  set repeatDelay(repeatDelay) {
+    const parsed = Number(repeatDelay);
+    this[setState]({ repeatDelay: parsed >= 0 ? parsed : 500 });
+  }
+
+  /**
+   * The time, in milliseconds, between repeats.
+   *
+   * @type {number}
+   * @default 50
+   */
+  get repeatInterval() {
+    return this[state].repeatInterval;
+  }
+  set repeatInterval(repeatInterval) {
+    const parsed = Number(repeatInterval);
+    this[setState]({ repeatInterval: parsed > 0 ? parsed : 50 });
+  }
+
+  /**
+   * The factor by which the owner should multiply its step for the current
+   * repeat. This is 1 until the button has been held for `acceleration`
+   * milliseconds, then 10, and so on.
+   *
+   * @type {number}
+   */
+  get stepMultiplier() {
+    return this[state].stepMultiplier;
+  }
+
+  get [template]() {
+    const result = super[template];
+    result.content.append(html`
+      <style>
+        :host {
+          touch-action: none;
+        }
+      </style>
+    `);
+    return result;
+  }
 }
 
 function repeatStart(element) {
+  // A second start (e.g., touch followed by mouse) shouldn't orphan timers.
+  repeatStop(element);
+
   // Start initial wait.
+  const { repeatDelay, repeatInterval } = element[state];
   const timeout = setTimeout(() => {
     // Initial wait complete; start repeat interval.
     const interval = setInterval(() => {
-      // Repeat interval passed; raise a mousedown event.
-      raiseMousedown(element);
-    }, repeatIntervalDuration);
-    element[setState]({ interval });
-  }, initialTimeoutDuration - repeatIntervalDuration);
+      // Repeat interval passed; raise a repeat event.
+      updateStepMultiplier(element);
+      raiseRepeat(element);
+    }, repeatInterval);
+    element[setState]({ interval, repeatStartTime: Date.now() });
+  }, Math.max(repeatDelay - repeatInterval, 0));
   element[setState]({ timeout });
+
+  // Stop if the user switches away from the window or tab mid-hold: we may
+  // never hear about the release.
+  const stopListener = () => {
+    repeatStop(element);
+  };
+  window.addEventListener("blur", stopListener);
+  document.addEventListener("visibilitychange", stopListener);
+  element[stopListenerKey] = stopListener;
 }
 
 function repeatStop(element) {
@@ -82,18 +215,36 @@ function repeatStop(element) {
     clearInterval(element[state].interval);
     element[setState]({ interval: null });
   }
+  element[setState]({ repeatStartTime: null, stepMultiplier: 1 });
+  const stopListener = element[stopListenerKey];
+  if (stopListener) {
+    window.removeEventListener("blur", stopListener);
+    document.removeEventListener("visibilitychange", stopListener);
+    element[stopListenerKey] = null;
+  }
+}
+
+// Let the owner know it's time for another step.
+function raiseRepeat(element) {
+  /**
+   * Raised repeatedly while the button is held down, once the initial
+   * `repeatDelay` has passed.
+   *
+   * @event repeat
+   */
+  element.dispatchEvent(new CustomEvent("repeat", { bubbles: true }));
 }
 
-// Raise a synthetic mousedown event.
-function raiseMousedown(element) {
-  const event = new MouseEvent("mousedown", {
-    bubbles: true,
-    cancelable: true,
-    clientX: 0,
-    clientY: 0,
-    button: 0,
-  });
-  element.dispatchEvent(event);
+// Grow the step multiplier tenfold for each `acceleration` period the button
+// has been repeating.
+function updateStepMultiplier(element) {
+  const { acceleration, repeatStartTime } = element[state];
+  const periods =
+    acceleration > 0
+      ? Math.floor((Date.now() - repeatStartTime) / acceleration)
+      : 0;
+  const stepMultiplier = Math.min(10 ** periods, maxStepMultiplier);
+  element[setState]({ stepMultiplier });
 }
 
 customElements.define("custom-repeat-button", CustomRepeatButton);
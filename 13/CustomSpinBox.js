@@ -1,38 +1,185 @@
+import { booleanAttributeValue } from "../lib/core/AttributeMarshallingMixin.js";
 import html from "../lib/core/html.js";
-import { defaultState, render, state, template } from "../lib/core/internal.js";
+import {
+  acceptsCharacter,
+  defaultState,
+  formatValue,
+  parseValue,
+  render,
+  setState,
+  state,
+  stateEffects,
+  template,
+  valueText,
+} from "../lib/core/internal.js";
 import CustomInput from "./CustomInput.js";
 import CustomRepeatButton from "./CustomRepeatButton.js";
-import SpinBox from "./SpinBox.js";
+import SpinBox, { delocalize, formatNumber } from "./SpinBox.js";
+import { evaluate } from "./expressions.js";
+import { allUnits, convertUnits, getUnit } from "./units.js";
 
 export default class CustomSpinBox extends SpinBox {
-  decrement() {
-    const { number, unit } = parse(this.value);
-    this.value = format(number - 1, unit);
+  // Accept the letters of the units the user can enter too.
+  [acceptsCharacter](char) {
+    const units = this[state].units || allUnits();
+    return (
+      super[acceptsCharacter](char) || units.some((unit) => unit.includes(char))
+    );
+  }
+
+  /**
+   * True if changing just the unit should convert the value so that it
+   * represents the same quantity, e.g., 16px becomes 1rem. This applies to
+   * units of the same dimension, like lengths, that the unit registry can
+   * convert between.
+   *
+   * @type {boolean}
+   * @default false
+   */
+  get convertUnits() {
+    return this[state].convertUnits;
+  }
+  set convertUnits(convertUnits) {
+    this[setState]({
+      convertUnits: booleanAttributeValue("convert-units", convertUnits),
+    });
   }
 
   get [defaultState]() {
     return {
       ...super[defaultState],
       buttonPartType: CustomRepeatButton,
+      committedQuantity: { unit: "", value: 0 },
+      convertUnits: false,
       inputPartType: CustomInput,
+      omitUnit: false,
+      unit: "",
+      units: null,
     };
   }
 
-  increment() {
-    const { number, unit } = parse(this.value);
-    this.value = format(number + 1, unit);
+  // Show the value with its unit, e.g., "12px".
+  [formatValue](value, formatState = this[state]) {
+    return format(super[formatValue](value, formatState), formatState.unit);
+  }
+
+  // Restore the unit saved along with the number.
+  formStateRestoreCallback(restored) {
+    const parsed = typeof restored === "string" ? parse(restored) : null;
+    const unit = parsed && resolveUnit(this[state], parsed.unit);
+    if (parsed && !isNaN(parsed.number) && unitAllowed(this[state], unit)) {
+      this[setState]({ unit });
+      this.valueAsNumber = parsed.number;
+    } else {
+      super.formStateRestoreCallback(restored);
+    }
+  }
+
+  /**
+   * True if the value submitted with a form should be just the number, without
+   * the unit.
+   *
+   * @type {boolean}
+   * @default false
+   */
+  get omitUnit() {
+    return this[state].omitUnit;
+  }
+  set omitUnit(omitUnit) {
+    this[setState]({ omitUnit: booleanAttributeValue("omit-unit", omitUnit) });
+  }
+
+  // Read a number with an optional unit, or an expression whose numbers can
+  // have units. If only the unit has changed since the value was committed,
+  // the user may want the same quantity expressed in the new unit. (Comparing
+  // with the value from the last keystroke would turn "32rem", typed over
+  // "16px", into 32px converted to 2rem.)
+  [parseValue](text) {
+    const parsed = this[state].expressions
+      ? evaluate(
+          text,
+          (operand) => {
+            const quantity = parse(delocalize(this, operand));
+            return isNaN(quantity.number) ? null : quantity;
+          },
+          (number, from, to) => convertUnits(number, from, to, this)
+        )
+      : parse(delocalize(this, text));
+    const unit = parsed && resolveUnit(this[state], parsed.unit);
+    if (!parsed || isNaN(parsed.number) || !unitAllowed(this[state], unit)) {
+      return null;
+    }
+    const { committedQuantity, convertUnits: convert } = this[state];
+    const { unit: current, value } = committedQuantity;
+    const converted =
+      convert && unit !== current && parsed.number === value
+        ? convertUnits(value, current, unit, this)
+        : null;
+    return { unit, value: converted !== null ? converted : parsed.number };
   }
 
   [render](changed) {
     super[render](changed);
+
     if (changed.value) {
       const { value } = this[state];
-      const negative = parseInt(value) < 0;
+      const negative = value < 0;
       this.style.borderColor = negative ? "rgb(255, 0, 255)" : "";
       this.style.backgroundColor = negative ? "rgba(255, 0, 255, 0.1)" : "";
     }
   }
 
+  [stateEffects](state, changed) {
+    const effects = super[stateEffects](state, changed);
+
+    // Submit the unit with the number unless asked not to. The unit is always
+    // saved along with the raw number as the state to restore.
+    if (
+      changed.fractionDigits ||
+      changed.omitUnit ||
+      changed.unit ||
+      changed.value
+    ) {
+      const { fractionDigits, omitUnit, unit, value } = state;
+      const text = value.toFixed(fractionDigits);
+      const formValue = omitUnit ? text : format(text, unit);
+      const formState = format(String(value), unit);
+      Object.assign(effects, { formState, formValue });
+    }
+
+    // Remember the quantity the user starts typing from. A value the user is
+    // typing isn't committed until they press Enter or leave the spin box.
+    if (changed.typed || changed.unit || changed.value) {
+      const { committedQuantity, typed, unit, value } = state;
+      if (
+        !typed &&
+        (unit !== committedQuantity.unit || value !== committedQuantity.value)
+      ) {
+        Object.assign(effects, { committedQuantity: { unit, value } });
+      }
+    }
+
+    // With a list of units, there's always one of them selected.
+    if (changed.units) {
+      const { unit, units } = state;
+      if (units && !units.includes(unit)) {
+        Object.assign(effects, { unit: units[0] });
+      }
+    }
+
+    // A unit in the registry brings its own step and precision, whether or
+    // not there's a list of units to choose from.
+    if (changed.unit || changed.units) {
+      const definition = getUnit(state.unit);
+      if (definition) {
+        const { precision, step } = definition;
+        Object.assign(effects, { precision, step });
+      }
+    }
+
+    return effects;
+  }
+
   get [template]() {
     const result = super[template];
 
@@ -50,6 +197,10 @@ export default class CustomSpinBox extends SpinBox {
           overflow: hidden;
         }
 
+        :host([disabled]) {
+          opacity: 0.5;
+        }
+
         [part~="input"] {
           border: none;
           width: 4em;
@@ -61,10 +212,95 @@ export default class CustomSpinBox extends SpinBox {
           font-size: 0.6em;
           padding: 2px;
         }
+
+        [part~="at-limit"] {
+          opacity: 0.5;
+        }
       </style>
     `);
     return result;
   }
+
+  /**
+   * The unit of the value, e.g., "px", or an empty string if the value has no
+   * unit. If `convertUnits` is set, changing the unit converts the value.
+   *
+   * @type {string}
+   * @default ""
+   */
+  get unit() {
+    return this[state].unit;
+  }
+  set unit(unit) {
+    const next = String(unit);
+    if (!unitAllowed(this[state], next)) {
+      return;
+    }
+    const { convertUnits: convert, unit: current, value } = this[state];
+    const converted = convert ? convertUnits(value, current, next, this) : null;
+    // Apply the unit first, so that the converted value is rounded to the new
+    // unit's precision.
+    this[setState]({ unit: next });
+    if (converted !== null) {
+      this[setState]({ value: converted });
+    }
+  }
+
+  /**
+   * The units the user may enter, e.g., `units="px em rem %"`. Text with any
+   * other unit is rejected as bad input, and a number typed without a unit
+   * keeps the current unit. Each unit brings its own step and precision from
+   * the unit registry.
+   *
+   * If this is null, any unit in the registry is accepted, and a number typed
+   * without a unit has no unit.
+   *
+   * @type {string[]|null}
+   * @default null
+   */
+  get units() {
+    const { units } = this[state];
+    return units && [...units];
+  }
+  set units(units) {
+    const list =
+      typeof units === "string" ? units.split(/\s+/).filter(Boolean) : units;
+    this[setState]({ units: list && list.length > 0 ? [...list] : null });
+  }
+
+  // The value is kept in state as a number so that the base class can step
+  // and clamp it; the unit travels alongside it. As a whole, the value is the
+  // text shown in the input, e.g., "12px".
+  get value() {
+    return this[formatValue](this[state].value);
+  }
+  set value(value) {
+    super.value = value;
+  }
+
+  /**
+   * The value as a number, without its unit.
+   *
+   * @type {number}
+   */
+  get valueAsNumber() {
+    return this[state].value;
+  }
+  set valueAsNumber(valueAsNumber) {
+    const parsed = Number(valueAsNumber);
+    if (!isNaN(parsed)) {
+      super.value = parsed;
+    }
+  }
+
+  // Read the unit aloud along with the value, e.g., "12 pixels".
+  [valueText](value) {
+    const { unit } = this[state];
+    const text = formatNumber(this, value);
+    const definition = getUnit(unit);
+    const name = definition ? definition.name : unit;
+    return unit ? `${text} ${name}` : text;
+  }
 }
 
 function format(number, unit) {
@@ -72,12 +308,23 @@ function format(number, unit) {
 }
 
 function parse(s) {
-  const numberWithUnitRegex = /(-?\d+)(?:\s*(.+))?/;
+  const numberWithUnitRegex = /^\s*(-?(?:\d+\.?\d*|\.\d+))\s*(.*?)\s*$/;
   const match = numberWithUnitRegex.exec(s);
-  const parsed = parseInt(s);
-  const number = match ? parseInt(match[1]) : isNaN(parsed) ? 0 : parsed;
-  const unit = match ? match[2] : "";
+  const number = match ? parseFloat(match[1]) : NaN;
+  const unit = (match && match[2]) || "";
   return { number, unit };
 }
 
+// A number typed without a unit keeps the current unit if there's a list of
+// units to choose from.
+function resolveUnit(state, unit) {
+  return unit || (state.units ? state.unit : "");
+}
+
+// Return true if the unit is one the spin box accepts.
+function unitAllowed(state, unit) {
+  const { units } = state;
+  return units ? units.includes(unit) : unit === "" || getUnit(unit) !== null;
+}
+
 customElements.define("custom-spin-box", CustomSpinBox);
@@ -0,0 +1,591 @@
+import { goLeft, goRight, keydown } from "../lib/base/internal.js";
+import {
+  acceptsCharacter,
+  defaultState,
+  formatValue,
+  ids,
+  parseValue,
+  render,
+  setState,
+  state,
+  stateEffects,
+  stepValue,
+} from "../lib/core/internal.js";
+import SpinBox, { focusableInput, stateLocale } from "./SpinBox.js";
+
+// Lengths of time in milliseconds.
+const second = 1000;
+const minute = 60 * second;
+const hour = 60 * minute;
+const day = 24 * hour;
+
+// The furthest a Date can be from 1970, either way, in milliseconds.
+const maxTime = 8.64e15;
+
+// The fields shown for each type of value, as Intl.DateTimeFormat options.
+const typeOptions = {
+  date: { day: "2-digit", month: "2-digit", year: "numeric" },
+  "datetime-local": {
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    month: "2-digit",
+    second: "2-digit",
+    year: "numeric",
+  },
+  time: { hour: "2-digit", minute: "2-digit", second: "2-digit" },
+};
+
+// The ISO 8601 text for each type of value, as used by the `value` property
+// and form submission. Seconds and fractions of a second are optional.
+const isoRegexes = {
+  date: /^(?<year>\d{4,})-(?<month>\d\d)-(?<day>\d\d)$/,
+  "datetime-local":
+    /^(?<year>\d{4,})-(?<month>\d\d)-(?<day>\d\d)[T ](?<hour>\d\d):(?<minute>\d\d)(?::(?<second>\d\d)(?:\.\d+)?)?$/,
+  time: /^(?<hour>\d\d):(?<minute>\d\d)(?::(?<second>\d\d)(?:\.\d+)?)?$/,
+};
+
+// The parts of the formatted text the user can spin.
+const segmentTypes = [
+  "day",
+  "dayPeriod",
+  "hour",
+  "minute",
+  "month",
+  "second",
+  "year",
+];
+
+/**
+ * A spin box for a date, a time, or both, shown in the locale's format.
+ *
+ * The text is split into segments, e.g., hours, minutes, seconds and AM/PM,
+ * or year, month and day. The left and right arrow keys move between the
+ * segments, and clicking selects the segment under the pointer. The up and
+ * down arrow keys, the buttons and the wheel spin the selected segment. A
+ * segment that spins past its end carries into the next larger one, so 59
+ * minutes become 00 of the next hour, and days follow the length of each
+ * month. A time of day wraps around from 23:59:59 to 00:00:00.
+ *
+ * As with a native input, the `value` is ISO 8601 text like "2024-02-29" or
+ * "13:45:00", and the value is also available as a `Date` via `valueAsDate`,
+ * or as a number of milliseconds via `valueAsNumber`. Dates and times carry no
+ * time zone: they're represented in UTC.
+ */
+export default class DateTimeSpinBox extends SpinBox {
+  // Accept digits, spaces, the separators of ISO 8601 text, and the text the
+  // locale's format puts between the segments, like "/" or "AM".
+  [acceptsCharacter](char) {
+    const { type, value } = this[state];
+    const literals = dateParts(this.locale, type, value)
+      .filter((part) => part.type === "literal")
+      .map((part) => part.value);
+    const text = [...literals, ...dayPeriods(this.locale), "-:.T"].join("");
+    return (
+      /[\p{Nd}\s]/u.test(char) ||
+      text.toLowerCase().includes(char.toLowerCase())
+    );
+  }
+
+  get [defaultState]() {
+    return {
+      ...super[defaultState],
+      segment: 0,
+      type: "time",
+    };
+  }
+
+  // Show the date and/or time in the locale's format.
+  [formatValue](value, formatState = this[state]) {
+    const locale = stateLocale(this, formatState);
+    return dateParts(locale, formatState.type, value)
+      .map((part) => part.value)
+      .join("");
+  }
+
+  // Select the segment to the left of the current one.
+  [goLeft]() {
+    if (super[goLeft]) {
+      super[goLeft]();
+    }
+    return moveSegment(this, -1);
+  }
+
+  // Select the segment to the right of the current one.
+  [goRight]() {
+    if (super[goRight]) {
+      super[goRight]();
+    }
+    return moveSegment(this, 1);
+  }
+
+  [keydown](event) {
+    let handled;
+    switch (event.key) {
+      // Even at the first or last segment, keep the caret from moving, so
+      // the segment stays selected.
+      case "ArrowLeft":
+        this[goLeft]();
+        handled = true;
+        break;
+
+      case "ArrowRight":
+        this[goRight]();
+        handled = true;
+        break;
+    }
+
+    // Prefer mixin result if it's defined, otherwise use base result.
+    return handled || (super[keydown] && super[keydown](event));
+  }
+
+  /**
+   * The latest date and/or time the spin box will accept, as ISO 8601 text,
+   * or `null` if there is no upper limit. This can be set with a `Date` too.
+   *
+   * @type {string|null}
+   * @default null
+   */
+  get max() {
+    const { max, type } = this[state];
+    return max !== null ? isoString(type, max) : null;
+  }
+  set max(max) {
+    super.max = timestamp(max);
+  }
+
+  /**
+   * The earliest date and/or time the spin box will accept, as ISO 8601
+   * text, or `null` if there is no lower limit. This can be set with a `Date`
+   * too.
+   *
+   * @type {string|null}
+   * @default null
+   */
+  get min() {
+    const { min, type } = this[state];
+    return min !== null ? isoString(type, min) : null;
+  }
+  set min(min) {
+    super.min = timestamp(min);
+  }
+
+  // Read ISO 8601 text, or text in the locale's format. The latter needs a
+  // number for each numeric segment; an AM/PM marker is optional, and if
+  // it's missing, the time stays in the same half of the day.
+  [parseValue](text) {
+    const { type, value } = this[state];
+    const fields =
+      isoFields(text) || localeFields(this.locale, type, value, text);
+    const parsed = fields ? fieldsValue(fields) : null;
+    return parsed !== null ? { value: parsed } : null;
+  }
+
+  [render](changed) {
+    super[render](changed);
+
+    // Focusing the input selects the current segment; clicking in it selects
+    // the segment under the caret.
+    if (changed.inputPartType) {
+      const input = this[ids].input;
+      input.addEventListener("focusin", () => {
+        selectSegment(this);
+      });
+      input.addEventListener("click", () => {
+        const { value } = this[state];
+        const position = focusableInput(this).selectionStart;
+        const segment = segmentAt(this, value, position);
+        this[setState]({ segment });
+        selectSegment(this);
+      });
+    }
+
+    // Keep the current segment selected as it moves or its text changes.
+    if (
+      changed.inputPartType ||
+      changed.locale ||
+      changed.segment ||
+      changed.type ||
+      changed.value
+    ) {
+      selectSegment(this);
+    }
+  }
+
+  [stateEffects](state, changed) {
+    const effects = super[stateEffects](state, changed);
+
+    // Values are whole milliseconds, and each step spins a segment by one.
+    if (changed.precision || changed.step) {
+      Object.assign(effects, { precision: 0, step: 1 });
+    }
+
+    // A date has no time of day, and a time has no date.
+    if (changed.type || changed.value) {
+      const { type, value } = state;
+      const normalized = trim(type, value);
+      if (normalized !== value) {
+        Object.assign(effects, { value: normalized });
+      }
+    }
+
+    // Submit the ISO 8601 text, as a native input does.
+    if (changed.fractionDigits || changed.type || changed.value) {
+      const { type, value } = state;
+      Object.assign(effects, { formValue: isoString(type, value) });
+    }
+
+    return effects;
+  }
+
+  // Spin the selected segment by the number of steps, carrying into the
+  // larger segments. A time of day wraps around midnight.
+  [stepValue](value, steps) {
+    const { type } = this[state];
+    const count = Math.trunc(steps) || Math.sign(steps);
+    const segment = currentSegment(this, value);
+    const next = timestamp(spin(value, segment ? segment.type : "", count));
+    if (next === null) {
+      // Beyond the range of dates a Date can represent.
+      return value;
+    }
+    return type === "time" ? mod(next, day) : next;
+  }
+
+  /**
+   * The kind of value the spin box edits: "date", "time", or
+   * "datetime-local" for both, as with a native input.
+   *
+   * @type {string}
+   * @default "time"
+   */
+  get type() {
+    return this[state].type;
+  }
+  set type(type) {
+    const { type: previousType, value } = this[state];
+    this[setState]({ type: type in typeOptions ? type : "time" });
+    // A `value` attribute applied before the `type` attribute was trimmed to
+    // the previous type, e.g., from a date to midnight. If the value still
+    // comes from the attribute, read the attribute again for the new type.
+    const attribute = this.getAttribute("value");
+    const original = timestamp(attribute);
+    if (original !== null && trim(previousType, original) === value) {
+      this.value = attribute;
+    }
+  }
+
+  // The value is kept in state as a number of milliseconds so that the base
+  // class can clamp and validate it. As a whole, the value is ISO 8601 text.
+  // A `Date` can be assigned too.
+  get value() {
+    const { type, value } = this[state];
+    return isoString(type, value);
+  }
+  set value(value) {
+    if (value instanceof Date) {
+      this.valueAsDate = value;
+    } else if (typeof value === "number") {
+      this.valueAsNumber = value;
+    } else {
+      super.value = value;
+    }
+  }
+
+  /**
+   * The value as a `Date`. For a time, this is that time of day on January 1,
+   * 1970, UTC.
+   *
+   * @type {Date}
+   */
+  get valueAsDate() {
+    return new Date(this[state].value);
+  }
+  set valueAsDate(valueAsDate) {
+    if (valueAsDate instanceof Date && !isNaN(valueAsDate.getTime())) {
+      super.value = valueAsDate.getTime();
+    }
+  }
+
+  /**
+   * The value as a number of milliseconds since January 1, 1970, UTC. For a
+   * time, this is the number of milliseconds since midnight.
+   *
+   * @type {number}
+   */
+  get valueAsNumber() {
+    return this[state].value;
+  }
+  set valueAsNumber(valueAsNumber) {
+    // A number a Date can't represent is ignored.
+    const parsed = timestamp(Number(valueAsNumber));
+    if (parsed !== null) {
+      super.value = parsed;
+    }
+  }
+}
+
+// Add a number of months to the date, keeping the day within the new month,
+// e.g., January 31 plus one month is February 28 or 29.
+function addMonths(value, count) {
+  const date = new Date(value);
+  const months = date.getUTCMonth() + count;
+  const year = date.getUTCFullYear() + Math.floor(months / 12);
+  const month = mod(months, 12);
+  const dayOfMonth = Math.min(date.getUTCDate(), daysInMonth(year, month));
+  date.setUTCFullYear(year, month, dayOfMonth);
+  return date.getTime();
+}
+
+// Return the selected segment, or the last one if the selection is beyond the
+// segments (e.g., after a switch to a locale without AM/PM).
+function currentSegment(element, value) {
+  const list = segments(element, value);
+  return list[Math.min(element[state].segment, list.length - 1)];
+}
+
+// Return the parts of the formatted date and/or time, with their positions in
+// the text. The value is shown in UTC in the Gregorian calendar with ASCII
+// digits, so that the segments can be read back reliably.
+function dateParts(locale, type, value) {
+  const options = {
+    ...typeOptions[type],
+    calendar: "gregory",
+    numberingSystem: "latn",
+    timeZone: "UTC",
+  };
+  const formatter = new Intl.DateTimeFormat(locale, options);
+  let start = 0;
+  return formatter.formatToParts(new Date(value)).map((part) => {
+    const end = start + part.value.length;
+    const result = { ...part, end, start };
+    start = end;
+    return result;
+  });
+}
+
+// Return the locale's text for AM and PM, or an empty array if the locale uses
+// a 24-hour clock.
+function dayPeriods(locale) {
+  return [0, 12 * hour]
+    .map((time) =>
+      dateParts(locale, "time", time).find((part) => part.type === "dayPeriod")
+    )
+    .filter(Boolean)
+    .map((part) => part.value);
+}
+
+// Return the number of days in the month (0–11) of the year.
+function daysInMonth(year, month) {
+  const date = new Date(0);
+  date.setUTCFullYear(year, month + 1, 0);
+  return date.getUTCDate();
+}
+
+// Return the number of milliseconds the date and time fields represent, or
+// null if any field is out of range, like February 30. Missing fields default
+// to the start of January 1, 1970.
+function fieldsValue(fields) {
+  const {
+    year = 1970,
+    month = 1,
+    day: dayOfMonth = 1,
+    hour: hours = 0,
+    minute: minutes = 0,
+    second: seconds = 0,
+  } = fields;
+  if (
+    month < 1 ||
+    month > 12 ||
+    dayOfMonth < 1 ||
+    dayOfMonth > daysInMonth(year, month - 1) ||
+    hours > 23 ||
+    minutes > 59 ||
+    seconds > 59
+  ) {
+    return null;
+  }
+  const date = new Date(0);
+  date.setUTCFullYear(year, month - 1, dayOfMonth);
+  date.setUTCHours(hours, minutes, seconds, 0);
+  // A year too far from 1970 for a Date to hold gives no time at all.
+  const time = date.getTime();
+  return isNaN(time) ? null : time;
+}
+
+// Read ISO 8601 text into date and time fields, or return null if the text
+// isn't in that form. Text for any type of value is accepted, so that it
+// doesn't matter whether the `type` attribute comes before or after the
+// `value`, `min` or `max` attribute. The value is then trimmed to the type;
+// setting the type reads a `value` attribute again for that reason.
+function isoFields(text) {
+  const trimmed = text.trim();
+  const match = Object.values(isoRegexes)
+    .map((regex) => regex.exec(trimmed))
+    .find((match) => match !== null);
+  if (!match) {
+    return null;
+  }
+  const fields = {};
+  Object.entries(match.groups).forEach(([name, digits]) => {
+    if (digits !== undefined) {
+      fields[name] = Number(digits);
+    }
+  });
+  return fields;
+}
+
+// Return the value as ISO 8601 text for the type of value, e.g.,
+// "2024-02-29", "13:45:00" or "2024-02-29T13:45:00".
+function isoString(type, value) {
+  const [date, time] = new Date(value).toISOString().split("T");
+  const hms = time.slice(0, 8);
+  return type === "date" ? date : type === "time" ? hms : `${date}T${hms}`;
+}
+
+// Read text in the locale's format into date and time fields, or return null
+// if it doesn't have a number for each numeric segment. The current value
+// supplies the segments' order, and the half of the day if there's no AM/PM
+// marker.
+function localeFields(locale, type, value, text) {
+  const parts = dateParts(locale, type, value);
+  const numeric = parts.filter(
+    (part) => segmentTypes.includes(part.type) && part.type !== "dayPeriod"
+  );
+  const numbers = text.match(/\d+/g) || [];
+  if (numbers.length !== numeric.length) {
+    return null;
+  }
+  const fields = {};
+  numeric.forEach((part, index) => {
+    fields[part.type] = Number(numbers[index]);
+  });
+
+  // With a 12-hour clock, 12 AM is midnight and 12 PM is noon.
+  if (parts.some((part) => part.type === "dayPeriod")) {
+    if (fields.hour > 12) {
+      return null;
+    }
+    const lower = text.toLowerCase();
+    const [am, pm] = dayPeriods(locale).map((period) => period.toLowerCase());
+    const afternoon = lower.includes(pm)
+      ? true
+      : lower.includes(am)
+      ? false
+      : mod(value, day) >= 12 * hour;
+    fields.hour = (fields.hour % 12) + (afternoon ? 12 : 0);
+  }
+
+  return fields;
+}
+
+// Positive remainder, so that times before 1970 have a time of day too.
+function mod(number, divisor) {
+  return ((number % divisor) + divisor) % divisor;
+}
+
+// Move the selection by the given number of segments, stopping at either end.
+// Return true if the selection moved.
+function moveSegment(element, offset) {
+  const { segment, value } = element[state];
+  const count = segments(element, value).length;
+  const current = Math.min(segment, count - 1);
+  const next = Math.max(0, Math.min(current + offset, count - 1));
+  element[setState]({ segment: next });
+  return next !== current;
+}
+
+// Return the index of the segment at the position in the text: the segment
+// containing the position, or else the nearest segment before it.
+function segmentAt(element, value, position) {
+  const list = segments(element, value);
+  const index = list.findIndex((segment) => position <= segment.end);
+  return index >= 0 ? index : list.length - 1;
+}
+
+// Return the parts of the formatted text the user can spin.
+function segments(element, value) {
+  const { type } = element[state];
+  return dateParts(element.locale, type, value).filter((part) =>
+    segmentTypes.includes(part.type)
+  );
+}
+
+// Select the current segment in the input. This only applies while the input
+// has the focus, and isn't done while the user is typing.
+function selectSegment(element) {
+  const input = focusableInput(element);
+  const { value } = element[state];
+  if (
+    !element.matches(":focus-within") ||
+    input.value !== element[formatValue](value)
+  ) {
+    return;
+  }
+  const segment = currentSegment(element, value);
+  if (segment) {
+    input.setSelectionRange(segment.start, segment.end);
+  }
+}
+
+// Spin the date/time field of the given type by the count.
+function spin(value, type, count) {
+  switch (type) {
+    case "day":
+      return value + count * day;
+
+    case "dayPeriod":
+      // Switch between AM and PM on the same day.
+      if (count % 2 === 0) {
+        return value;
+      }
+      return mod(value, day) < 12 * hour
+        ? value + 12 * hour
+        : value - 12 * hour;
+
+    case "hour":
+      return value + count * hour;
+
+    case "minute":
+      return value + count * minute;
+
+    case "month":
+      return addMonths(value, count);
+
+    case "second":
+      return value + count * second;
+
+    case "year":
+      return addMonths(value, 12 * count);
+
+    default:
+      return value;
+  }
+}
+
+// Return the number of milliseconds represented by a `Date`, ISO 8601 text or
+// a number, or null if it represents none. A number must be within the range
+// a Date can represent.
+function timestamp(value) {
+  if (value instanceof Date) {
+    const time = value.getTime();
+    return isNaN(time) ? null : time;
+  } else if (typeof value === "number") {
+    return Math.abs(value) <= maxTime ? value : null;
+  }
+  const fields = value ? isoFields(String(value)) : null;
+  return fields ? fieldsValue(fields) : null;
+}
+
+// Trim the value to the type: a date has no time of day, and a time has no
+// date.
+function trim(type, value) {
+  const timeOfDay = mod(value, day);
+  return type === "date"
+    ? value - timeOfDay
+    : type === "time"
+    ? timeOfDay
+    : value;
+}
+
+customElements.define("date-time-spin-box", DateTimeSpinBox);
@@ -0,0 +1,125 @@
+import {
+  acceptsCharacter,
+  getItemText,
+  goNext,
+  goPrevious,
+  itemMatchesState,
+} from "../lib/base/internal.js";
+import ItemsSelectionMixin from "../lib/base/ItemsSelectionMixin.js";
+import {
+  formatValue,
+  parseValue,
+  state,
+  stateEffects,
+} from "../lib/core/internal.js";
+import SpinBox from "./SpinBox.js";
+
+/**
+ * A spin box that spins through a list of items instead of numbers, e.g., the
+ * months of the year or a set of sizes.
+ *
+ * The items are the spin box's child elements, like `option` elements, or a
+ * list of strings given by the `items` property. The underlying numeric value
+ * is the index of the selected item, so the arrow keys, buttons and wheel
+ * step through the list, and `wrap` cycles around from one end to the other.
+ * As a whole, the value is the selected item's text, and the user can type
+ * the text, or the start of it, to select an item.
+ */
+export default class ListSpinBox extends ItemsSelectionMixin(SpinBox) {
+  // Items can have any text.
+  [acceptsCharacter]() {
+    return true;
+  }
+
+  decrement() {
+    this[goPrevious]();
+  }
+
+  // Show the text of the item at the index.
+  [formatValue](index, formatState = this[state]) {
+    return itemText(this, formatState.items, index);
+  }
+
+  increment() {
+    this[goNext]();
+  }
+
+  // Disabled items can't be selected.
+  [itemMatchesState](item, state) {
+    const base = super[itemMatchesState](item, state);
+    return base && (typeof item === "string" || !item.hasAttribute("disabled"));
+  }
+
+  // Find the item whose text matches, or failing that, the first item whose
+  // text starts with the given text. Case is ignored.
+  [parseValue](text) {
+    const search = text.trim().toLowerCase();
+    const texts = this[state].items.map((item) =>
+      this[getItemText](item).toLowerCase()
+    );
+    const exact = texts.indexOf(search);
+    const index =
+      exact >= 0 ? exact : texts.findIndex((text) => text.startsWith(search));
+    return index >= 0 ? { value: index } : null;
+  }
+
+  [stateEffects](state, changed) {
+    const effects = super[stateEffects](state, changed);
+
+    // The value ranges over the indices of the items, one step at a time.
+    if (
+      changed.items ||
+      changed.max ||
+      changed.min ||
+      changed.precision ||
+      changed.step
+    ) {
+      const count = state.items.length;
+      // Until there are items, leave the value alone so that an index set
+      // before the items arrive isn't lost.
+      const max = count > 0 ? count - 1 : null;
+      Object.assign(effects, { max, min: 0, precision: 0, step: 1 });
+    }
+
+    // Keep the value and the selected index in sync.
+    if (changed.selectedIndex) {
+      Object.assign(effects, { value: state.selectedIndex });
+    } else if (changed.value) {
+      Object.assign(effects, { selectedIndex: state.value });
+    }
+
+    // Keep the spin box's wrapping and the selection's wrapping in sync.
+    if (changed.wrap) {
+      Object.assign(effects, { selectionWraps: state.wrap });
+    } else if (changed.selectionWraps) {
+      Object.assign(effects, { wrap: state.selectionWraps });
+    }
+
+    // Submit the text of the selected item.
+    if (changed.items || changed.value) {
+      const formValue = itemText(this, state.items, state.value);
+      Object.assign(effects, { formValue });
+    }
+
+    return effects;
+  }
+
+  // The value is kept in state as the index of the selected item so that the
+  // base class can step and clamp it. As a whole, the value is the text of the
+  // selected item, or an empty string if there are no items.
+  get value() {
+    return this[formatValue](this[state].value);
+  }
+  set value(value) {
+    super.value = value;
+  }
+}
+
+// Return the text of the item at the index, or an empty string if there's no
+// item there.
+function itemText(element, items, index) {
+  const item = items[index];
+  return item !== undefined ? element[getItemText](item) : "";
+}
+
+customElements.define("list-spin-box", ListSpinBox);
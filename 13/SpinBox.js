@@ -1,58 +1,541 @@
+import DelegateFocusMixin from "../lib/base/DelegateFocusMixin.js";
+import FormElementMixin from "../lib/base/FormElementMixin.js";
 import {
+  keydown,
+  nativeInternals,
+  swipeDown,
+  swipeDownComplete,
+  swipeStart,
+  swipeTarget,
+  swipeUp,
+  swipeUpComplete,
+} from "../lib/base/internal.js";
+import KeyboardMixin from "../lib/base/KeyboardMixin.js";
+import TouchSwipeMixin from "../lib/base/TouchSwipeMixin.js";
+import WrappedStandardElement, {
+  applyAttribute,
+} from "../lib/base/WrappedStandardElement.js";
+import { booleanAttributeValue } from "../lib/core/AttributeMarshallingMixin.js";
+import { deepContains, setInternalState } from "../lib/core/dom.js";
+import {
+  acceptsCharacter,
   defaultState,
   firstRender,
+  formatValue,
   ids,
+  parseValue,
   raiseChangeEvents,
   render,
+  rendered,
   setState,
   state,
+  stateEffects,
+  stepValue,
   template,
+  valueText,
 } from "../lib/core/internal.js";
 import ReactiveElement from "../lib/core/ReactiveElement.js";
 import { html, transmute } from "../lib/core/template.js";
+import { evaluate } from "./expressions.js";
+
+// Multipliers applied to a keyboard step when a modifier key is held down.
+const shiftMultiplier = 10;
+const ctrlMultiplier = 100;
+const altMultiplier = 0.1;
+
+// Wheel/trackpad scrolling: the pixel distance that adds up to one step, and
+// the shortest time between steps so a long trackpad fling doesn't race away.
+const wheelStepDistance = 50;
+const wheelStepInterval = 50;
+
+// The distance the pointer has to move before a press turns into a scrub, so
+// that a slightly shaky click still counts as a click.
+const scrubThreshold = 3;
+
+// The text last rendered into the input.
+const renderedTextKey = Symbol("renderedText");
+
+// Wheel distance accumulated toward the next step, and the time of last step.
+const wheelDeltaKey = Symbol("wheelDelta");
+const wheelTimeKey = Symbol("wheelTime");
+
+// The wheel listener, attached only while the wheel is on.
+const wheelListenerKey = Symbol("wheelListener");
+
+// The value before the user started changing it, or undefined if the user
+// hasn't changed the value since the last commit.
+const editStartKey = Symbol("editStart");
+
+// True while the value is being set from the text the user is typing.
+const typingKey = Symbol("typing");
+
+// Display formats besides plain decimal numbers.
+const formats = ["compact", "currency", "percent", "scientific"];
+
+// Invisible bidirectional marks some locales put around signs and numbers.
+const bidiMarksRegex = /[\u061c\u200e\u200f]/g;
+
+// Map of the decimal digits of all numbering systems to ASCII digits, built
+// the first time it's needed.
+let digitMap = null;
+
+// Validation messages by language. Names in braces are filled in with the
+// corresponding state members.
+const validationMessages = {
+  de: {
+    badInput: "Bitte geben Sie eine Zahl ein.",
+    rangeOverflow:
+      "Bitte geben Sie einen Wert ein, der nicht größer als {max} ist.",
+    rangeUnderflow:
+      "Bitte geben Sie einen Wert ein, der nicht kleiner als {min} ist.",
+    stepMismatch: "Bitte geben Sie einen Wert in Schritten von {step} ein.",
+    valueMissing: "Bitte füllen Sie dieses Feld aus.",
+  },
+  en: {
+    badInput: "Please enter a number.",
+    rangeOverflow: "Please enter a value no greater than {max}.",
+    rangeUnderflow: "Please enter a value no less than {min}.",
+    stepMismatch: "Please enter a value in steps of {step}.",
+    valueMissing: "Please fill out this field.",
+  },
+  es: {
+    badInput: "Introduce un número.",
+    rangeOverflow: "Introduce un valor menor o igual que {max}.",
+    rangeUnderflow: "Introduce un valor mayor o igual que {min}.",
+    stepMismatch: "Introduce un valor en incrementos de {step}.",
+    valueMissing: "Completa este campo.",
+  },
+  fr: {
+    badInput: "Veuillez saisir un nombre.",
+    rangeOverflow: "Veuillez saisir une valeur inférieure ou égale à {max}.",
+    rangeUnderflow: "Veuillez saisir une valeur supérieure ou égale à {min}.",
+    stepMismatch: "Veuillez saisir une valeur par pas de {step}.",
+    valueMissing: "Veuillez renseigner ce champ.",
+  },
+};
+
+const Base = FormElementMixin(
+  DelegateFocusMixin(KeyboardMixin(TouchSwipeMixin(ReactiveElement)))
+);
+
+export default class SpinBox extends Base {
+  // Accept digits of any numbering system, minus signs, and the symbols of
+  // the locale and format, like the decimal separator, a currency symbol, a
+  // compact suffix ("K") or the exponent of scientific notation ("E"). If the
+  // spin box evaluates expressions, accept plus signs, operators and
+  // parentheses too.
+  [acceptsCharacter](char) {
+    const symbols = formatSymbols(this);
+    return Array.from(normalize(char)).every(
+      (c) => /[\p{Nd}\-\u2212]/u.test(c) || symbols.includes(c.toLowerCase())
+    );
+  }
+
+  /**
+   * True if what the user types is kept as a draft until they commit it by
+   * pressing Enter or leaving the spin box. Until then, the `value` stays the
+   * last committed value, and the text isn't reformatted as it's typed.
+   * Pressing Escape discards the draft and restores the text of the committed
+   * value. Stepping with the keyboard, buttons or wheel commits the draft
+   * first.
+   *
+   * If this is false, each keystroke updates the value.
+   *
+   * @type {boolean}
+   * @default false
+   */
+  get commitOnBlur() {
+    return this[state].commitOnBlur;
+  }
+  set commitOnBlur(commitOnBlur) {
+    this[setState]({
+      commitOnBlur: booleanAttributeValue("commit-on-blur", commitOnBlur),
+    });
+  }
+
+  /**
+   * The ISO 4217 code of the currency shown in `currency` format, e.g., "USD"
+   * or "EUR".
+   *
+   * @type {string|null}
+   * @default null
+   */
+  get currency() {
+    return this[state].currency;
+  }
+  set currency(currency) {
+    const code = currency ? String(currency).toUpperCase() : null;
+    if (code) {
+      // Throws a RangeError for a malformed currency code.
+      new Intl.NumberFormat("en", { currency: code, style: "currency" });
+    }
+    this[setState]({ currency: code });
+  }
 
-export default class SpinBox extends ReactiveElement {
   decrement() {
-    this.value--;
+    stepBy(this, -1);
+  }
+
+  /**
+   * True if the spin box is disabled: its value can't be changed, and none of
+   * its parts respond to the user.
+   *
+   * @type {boolean}
+   * @default false
+   */
+  get disabled() {
+    return this[state].disabled;
+  }
+  set disabled(disabled) {
+    this[setState]({ disabled: booleanAttributeValue("disabled", disabled) });
+  }
+
+  /**
+   * True if the user can type an arithmetic expression like "120+15" or
+   * "100/3" instead of a number. The expression is evaluated as it's typed,
+   * and stays as typed, even if its result is rounded or out of range, until
+   * the user commits the value; then it's replaced by the text of its result.
+   * An expression that isn't well formed is reported as bad input.
+   *
+   * Expressions can use + − × ÷ (or - * /), parentheses and unary minus. Each
+   * number can be in the spin box's locale and format.
+   *
+   * @type {boolean}
+   * @default false
+   */
+  get expressions() {
+    return this[state].expressions;
+  }
+  set expressions(expressions) {
+    this[setState]({
+      expressions: booleanAttributeValue("expressions", expressions),
+    });
+  }
+
+  /**
+   * How the value is shown in the input: "currency" (in the given
+   * `currency`), "percent", "compact" (e.g., "1.2K") or "scientific". If this
+   * is null, the value is shown as a plain number.
+   *
+   * The format only affects the text in the input, which also accepts typed
+   * text in the same format. The value, stepping and form submission all work
+   * with the underlying number: in percent format, a value of 0.45 is shown as
+   * "45%", so a step of 0.01 steps by one percent.
+   *
+   * @type {string|null}
+   * @default null
+   */
+  get format() {
+    return this[state].format;
+  }
+  set format(format) {
+    this[setState]({ format: formats.includes(format) ? format : null });
+  }
+
+  // Show the value as a number in the spin box's locale and format.
+  [formatValue](value, formatState = this[state]) {
+    return formatNumber(this, value, formatState);
+  }
+
+  // A disabled fieldset around the spin box disables it too, although that
+  // doesn't change its own `disabled` property.
+  formDisabledCallback(disabled) {
+    this[setState]({ formDisabled: disabled });
+  }
+
+  // Resetting the form restores the value given by the `value` attribute, like
+  // a native input, or the default value if there's no attribute.
+  formResetCallback() {
+    const attribute = this.getAttribute("value");
+    this.value = attribute !== null ? attribute : this[defaultState].value;
+  }
+
+  // The browser restores the value when the user navigates back to the page
+  // or autofills the form. The saved state is the raw number, which is read
+  // as is rather than as text in the spin box's locale and format.
+  formStateRestoreCallback(restored) {
+    if (typeof restored === "string") {
+      const number = readNumber(restored);
+      this.value = number !== null ? number : restored;
+    }
   }
 
   get [defaultState]() {
     return {
       ...super[defaultState],
+      badInput: false,
       buttonPartType: "button",
+      canDecrement: true,
+      canIncrement: true,
+      commitOnBlur: false,
+      currency: null,
+      disabled: false,
+      draft: null,
+      empty: false,
+      expressions: false,
+      fineSteps: false,
+      format: null,
+      formDisabled: false,
+      formState: "0",
+      formValue: "0",
+      fractionDigits: 0,
       inputPartType: "input",
+      locale: null,
+      max: null,
+      min: null,
+      pageStep: null,
+      precision: null,
+      readOnly: false,
+      required: false,
+      scrub: false,
+      scrubbing: false,
+      scrubDistance: 4,
+      scrubPointerLock: false,
+      step: 1,
+      typed: false,
+      validityFlags: {},
       value: 0,
+      wheel: false,
+      wrap: false,
     };
   }
 
   increment() {
-    this.value++;
+    stepBy(this, 1);
+  }
+
+  // Handle the keys of the WAI-ARIA spinbutton pattern. The arrow and page
+  // keys can be combined with Shift or Ctrl to take a larger step, or with Alt
+  // to take a tenth of a step, shown with one more decimal place.
+  [keydown](event) {
+    let handled;
+    let previous = this.value;
+    const { max, min, pageStep, step } = this[state];
+    const multiplier = modifierMultiplier(event);
+    const pageSteps = pageStep !== null ? pageStep / step : 10;
+    // A disabled or read-only spin box leaves all keys to the base class.
+    const key = editable(this) ? event.key : null;
+    switch (key) {
+      case "ArrowDown":
+        stepBy(this, -multiplier);
+        handled = true;
+        break;
+
+      case "ArrowUp":
+        stepBy(this, multiplier);
+        handled = true;
+        break;
+
+      case "End":
+        if (max !== null) {
+          this[setState]({ typed: false, value: max });
+          handled = true;
+        }
+        break;
+
+      case "Enter":
+        // Commit the value, but let the key go on to do whatever else it does.
+        // Committing a draft raises its own input event.
+        commitChange(this);
+        previous = this.value;
+        break;
+
+      case "Escape":
+        // Discard the draft, or text that wasn't a valid value, and restore
+        // the text of the committed value.
+        if (
+          this[state].commitOnBlur &&
+          (this[state].draft !== null || this[state].badInput)
+        ) {
+          revertDraft(this);
+          handled = true;
+        }
+        break;
+
+      case "Home":
+        if (min !== null) {
+          this[setState]({ typed: false, value: min });
+          handled = true;
+        }
+        break;
+
+      case "PageDown":
+        stepBy(this, -pageSteps * multiplier);
+        handled = true;
+        break;
+
+      case "PageUp":
+        stepBy(this, pageSteps * multiplier);
+        handled = true;
+        break;
+    }
+
+    if (this.value !== previous) {
+      raiseInputEvent(this, previous);
+    }
+
+    // Prefer mixin result if it's defined, otherwise use base result.
+    return handled || (super[keydown] && super[keydown](event));
+  }
+
+  /**
+   * The locale used to format the value in the input and to read back what
+   * the user types, e.g., "de-DE" or "ar-EG". By default, this is the
+   * language of the element or document.
+   *
+   * @type {string}
+   */
+  get locale() {
+    return stateLocale(this);
+  }
+  set locale(locale) {
+    // Throws a RangeError for a malformed language tag.
+    const [canonical] = locale ? Intl.getCanonicalLocales(locale) : [];
+    this[setState]({ locale: canonical || null });
+  }
+
+  /**
+   * The largest value the spin box will accept, or `null` if there is no
+   * upper limit.
+   *
+   * A larger value set in code is brought down to the max. A larger value the
+   * user types is kept, and flagged as `rangeOverflow`, until they commit it.
+   *
+   * @type {number|null}
+   * @default null
+   */
+  get max() {
+    return this[state].max;
+  }
+  set max(max) {
+    this[setState]({ max: parseNumber(max) });
+  }
+
+  /**
+   * The smallest value the spin box will accept, or `null` if there is no
+   * lower limit.
+   *
+   * A smaller value set in code is brought up to the min. A smaller value the
+   * user types is kept, and flagged as `rangeUnderflow`, until they commit it.
+   *
+   * @type {number|null}
+   * @default null
+   */
+  get min() {
+    return this[state].min;
+  }
+  set min(min) {
+    this[setState]({ min: parseNumber(min) });
+  }
+
+  /**
+   * The amount by which the PageUp and PageDown keys change the value.
+   *
+   * If this is `null`, those keys take ten times the `step`.
+   *
+   * @type {number|null}
+   * @default null
+   */
+  get pageStep() {
+    return this[state].pageStep;
+  }
+  set pageStep(pageStep) {
+    const parsed = parseNumber(pageStep);
+    this[setState]({ pageStep: parsed !== null && parsed > 0 ? parsed : null });
+  }
+
+  // Read a number in the spin box's locale and format. Any text after the
+  // number is ignored, unless the spin box evaluates expressions: then the
+  // text as a whole must be a well-formed expression.
+  [parseValue](text) {
+    if (this[state].expressions) {
+      const result = evaluate(text, (operand) => {
+        const number = readNumber(delocalize(this, operand));
+        return number !== null ? { number, unit: "" } : null;
+      });
+      return result ? { value: result.number } : null;
+    }
+    const number = parseFloat(delocalize(this, text));
+    return isNaN(number) ? null : { value: number };
+  }
+
+  /**
+   * The number of decimal places the value is rounded to and displayed with.
+   *
+   * If this is `null`, the precision is inferred from the `step`: a step of
+   * 0.25 implies two decimal places.
+   *
+   * @type {number|null}
+   * @default null
+   */
+  get precision() {
+    return this[state].precision;
+  }
+  set precision(precision) {
+    const parsed = parseNumber(precision);
+    this[setState]({
+      precision: parsed !== null && parsed >= 0 ? Math.floor(parsed) : null,
+    });
+  }
+
+  /**
+   * True if the user can see and focus the value but not change it.
+   *
+   * @type {boolean}
+   * @default false
+   */
+  get readOnly() {
+    return this[state].readOnly;
+  }
+  set readOnly(readOnly) {
+    this[setState]({ readOnly: booleanAttributeValue("readonly", readOnly) });
   }
 
   [render](changed) {
     super[render](changed);
 
     if (this[firstRender]) {
-      // Add Up key and Down key handlers.
-      this.addEventListener("keydown", (event) => {
-        this[raiseChangeEvents] = true;
-        let handled = false;
-        switch (event.key) {
-          case "ArrowDown":
-            this.decrement();
-            handled = true;
-            break;
-
-          case "ArrowUp":
-            this.increment();
-            handled = true;
-            break;
-        }
-        if (handled) {
-          event.preventDefault();
+      // Commit the value when the focus leaves the spin box entirely. Moving
+      // the focus between the input and the buttons doesn't count.
+      this.addEventListener("focusout", (event) => {
+        /** @type {any} */ const cast = event;
+        const newFocusedElement = cast.relatedTarget;
+        if (
+          newFocusedElement !== this &&
+          !deepContains(this, newFocusedElement)
+        ) {
+          commitChange(this);
         }
-        this[raiseChangeEvents] = false;
       });
+
+      // Let the user drag to change the value.
+      listenToScrub(this);
+    }
+
+    if (changed.wheel) {
+      // Let the wheel change the value. This listener can't be passive, as we
+      // need to keep the page from scrolling while we handle the wheel, so
+      // it's only attached while the wheel is on.
+      if (this[state].wheel && !this[wheelListenerKey]) {
+        this[wheelListenerKey] = (event) => {
+          this[raiseChangeEvents] = true;
+          const previous = this.value;
+          const handled = handleWheel(this, event);
+          if (handled) {
+            event.preventDefault();
+          }
+          if (this.value !== previous) {
+            raiseInputEvent(this, previous);
+          }
+          this[raiseChangeEvents] = false;
+        };
+        this.addEventListener("wheel", this[wheelListenerKey], {
+          passive: false,
+        });
+      } else if (!this[state].wheel && this[wheelListenerKey]) {
+        this.removeEventListener("wheel", this[wheelListenerKey]);
+        this[wheelListenerKey] = null;
+      }
     }
 
     // Transmute buttons to new button part type.
@@ -62,12 +545,15 @@ export default class SpinBox extends ReactiveElement {
       transmute(this[ids].upButton, buttonPartType);
 
       // Wire up handlers on new buttons.
-      this[ids].downButton.addEventListener("mousedown", () => {
-        this.decrement();
-      });
-      this[ids].upButton.addEventListener("mousedown", () => {
-        this.increment();
-      });
+      listenToButton(this, this[ids].downButton, -1);
+      listenToButton(this, this[ids].upButton, 1);
+
+      // Name the new buttons, and keep them out of the tab order: the input
+      // handles the keyboard for the whole spin box.
+      this[ids].downButton.setAttribute("aria-label", "Decrease");
+      this[ids].downButton.tabIndex = -1;
+      this[ids].upButton.setAttribute("aria-label", "Increase");
+      this[ids].upButton.tabIndex = -1;
     }
 
     // Transmute input to new input part type.
@@ -75,16 +561,433 @@ export default class SpinBox extends ReactiveElement {
       const { inputPartType } = this[state];
       transmute(this[ids].input, inputPartType);
 
-      // Wire up handler on new input.
-      this[ids].input.addEventListener("input", () => {
-        this.value = this[ids].input.value;
+      // Wire up handlers on new input. Typed characters that can't be part
+      // of a value are turned away before they reach the input.
+      const input = this[ids].input;
+      input.addEventListener("beforeinput", (event) => {
+        /** @type {any} */ const cast = event;
+        if (
+          cast.inputType === "insertText" &&
+          cast.data &&
+          !Array.from(cast.data).every((char) => this[acceptsCharacter](char))
+        ) {
+          event.preventDefault();
+        }
+      });
+      input.addEventListener("input", (event) => {
+        // Keep the input's own event inside the shadow; the spin box raises
+        // its own for this keystroke. Text the user is still composing with
+        // an input method is left alone until the composition ends.
+        event.stopPropagation();
+        /** @type {any} */ const cast = event;
+        if (!cast.isComposing) {
+          updateFromInput(this);
+        }
+      });
+      input.addEventListener("compositionend", () => {
+        updateFromInput(this);
+      });
+    }
+
+    // Render value state to input whenever its text representation changes,
+    // or when a value the user typed is replaced by one set some other way.
+    // Text the user is in the middle of typing (e.g., "1." on the way to
+    // "1.5", or an expression) and text that's a draft are left alone until
+    // the user commits them.
+    if (changed.inputPartType) {
+      this[renderedTextKey] = null;
+    }
+    const { badInput, draft, empty, typed, value } = this[state];
+    const text = this[formatValue](value);
+    const replaced = changed.typed && !badInput && !empty;
+    if (
+      (text !== this[renderedTextKey] || replaced) &&
+      draft === null &&
+      !typed
+    ) {
+      this[ids].input.value = text;
+      this[renderedTextKey] = text;
+    }
+
+    // Pass the disabled and read-only states to the parts, including any parts
+    // that were just created. The buttons can't change a read-only value, so
+    // they're disabled in that case too, as is a button that can't step any
+    // further because the value is at a limit. A button at a limit also gets
+    // an `at-limit` part name for styling, e.g., `::part(up-button at-limit)`.
+    if (
+      changed.buttonPartType ||
+      changed.canDecrement ||
+      changed.canIncrement ||
+      changed.disabled ||
+      changed.formDisabled ||
+      changed.inputPartType ||
+      changed.readOnly
+    ) {
+      const { canDecrement, canIncrement, disabled, formDisabled, readOnly } =
+        this[state];
+      const partsDisabled = disabled || formDisabled;
+      const { downButton, input, upButton } = this[ids];
+      input.disabled = partsDisabled;
+      input.readOnly = readOnly;
+      downButton.disabled = partsDisabled || readOnly || !canDecrement;
+      downButton.part.toggle("at-limit", !canDecrement);
+      upButton.disabled = partsDisabled || readOnly || !canIncrement;
+      upButton.part.toggle("at-limit", !canIncrement);
+      // Only our own disabled state is reflected. (A form-associated element
+      // with a `disabled` attribute is treated as disabled by the browser, so
+      // reflecting the fieldset's state would keep it disabled for good.)
+      setInternalState(this, "disabled", disabled);
+      setInternalState(this, "readonly", readOnly);
+    }
+
+    // While the value can be changed, leave horizontal panning and zooming on
+    // the input to the browser, and vertical movement to TouchSwipeMixin.
+    if (
+      changed.disabled ||
+      changed.formDisabled ||
+      changed.inputPartType ||
+      changed.readOnly
+    ) {
+      this[ids].input.style.touchAction = editable(this)
+        ? "pan-x pinch-zoom"
+        : "";
+    }
+
+    // Reflect the scrub mode and any scrub in progress for styling, e.g., to
+    // show a cursor that suggests dragging.
+    if (changed.scrub) {
+      setInternalState(this, "scrub", this[state].scrub);
+    }
+    if (changed.scrubbing) {
+      setInternalState(this, "scrubbing", this[state].scrubbing);
+    }
+
+    // Report validity with the standard flags, superseding the custom error
+    // FormElementMixin would report. The input part is the anchor for the
+    // browser's validation message.
+    if (
+      changed.inputPartType ||
+      changed.valid ||
+      changed.validationMessage ||
+      changed.validityFlags
+    ) {
+      const { valid, validationMessage, validityFlags } = this[state];
+      if (this[nativeInternals]) {
+        this[nativeInternals].setValidity(
+          validityFlags,
+          validationMessage,
+          focusableInput(this)
+        );
+      }
+      applyAttribute(
+        focusableInput(this),
+        "aria-invalid",
+        valid ? null : "true"
+      );
+    }
+
+    // Expose the value to assistive technologies. The spinbutton semantics go
+    // on the element that actually takes the focus, so they're reapplied
+    // whenever the input part is replaced.
+    if (
+      changed.currency ||
+      changed.format ||
+      changed.fractionDigits ||
+      changed.inputPartType ||
+      changed.locale ||
+      changed.max ||
+      changed.min ||
+      changed.value
+    ) {
+      const { max, min, value } = this[state];
+      const target = focusableInput(this);
+      applyAttribute(target, "role", "spinbutton");
+      applyAttribute(target, "aria-valuemax", max);
+      applyAttribute(target, "aria-valuemin", min);
+      applyAttribute(target, "aria-valuenow", value);
+    }
+
+    // The text read for the value can depend on any state, including a
+    // subclass's, so it's checked on every render.
+    const input = focusableInput(this);
+    const spoken = this[valueText](this[state].value);
+    if (input.getAttribute("aria-valuetext") !== spoken) {
+      input.setAttribute("aria-valuetext", spoken);
+    }
+  }
+
+  [rendered](changed) {
+    super[rendered](changed);
+
+    // Submit the form value, superseding the raw value FormElementMixin would
+    // submit, and save the form state to restore. A spin box that's been
+    // cleared, or has text that isn't a valid value, submits an empty string,
+    // as a native number input does.
+    if (
+      (changed.badInput ||
+        changed.empty ||
+        changed.formState ||
+        changed.formValue) &&
+      this[nativeInternals]
+    ) {
+      const { badInput, empty, formState, formValue } = this[state];
+      const blank = badInput || empty;
+      this[nativeInternals].setFormValue(
+        blank ? "" : formValue,
+        blank ? "" : formState
+      );
+    }
+
+    // Let the outside world know when the user has taken the value to one of
+    // the limits.
+    if (changed.value && this[raiseChangeEvents]) {
+      const { max, min, value } = this[state];
+      if (value === max) {
+        /**
+         * Raised when the user changes the value to the `max` value.
+         *
+         * @event max-reached
+         */
+        this.dispatchEvent(new CustomEvent("max-reached", { bubbles: true }));
+      }
+      if (value === min) {
+        /**
+         * Raised when the user changes the value to the `min` value.
+         *
+         * @event min-reached
+         */
+        this.dispatchEvent(new CustomEvent("min-reached", { bubbles: true }));
+      }
+    }
+  }
+
+  /**
+   * True if the spin box must have a value for its form to be submitted.
+   *
+   * @type {boolean}
+   * @default false
+   */
+  get required() {
+    return this[state].required;
+  }
+  set required(required) {
+    this[setState]({ required: booleanAttributeValue("required", required) });
+  }
+
+  /**
+   * True if the user can change the value by dragging: pressing on the input
+   * while it doesn't have the focus, or on the spin box's own border, and
+   * dragging right or up increases the value, while dragging left or down
+   * decreases it. Each `scrubDistance` pixels take one step. Holding down
+   * Shift or Ctrl while dragging takes larger steps, and holding down Alt
+   * takes them more slowly, for finer control.
+   *
+   * A press on the input that doesn't turn into a drag focuses the input and
+   * selects its text for editing.
+   *
+   * @type {boolean}
+   * @default false
+   */
+  get scrub() {
+    return this[state].scrub;
+  }
+  set scrub(scrub) {
+    this[setState]({ scrub: booleanAttributeValue("scrub", scrub) });
+  }
+
+  /**
+   * The distance in pixels the pointer has to move while scrubbing to take one
+   * step.
+   *
+   * @type {number}
+   * @default 4
+   */
+  get scrubDistance() {
+    return this[state].scrubDistance;
+  }
+  set scrubDistance(scrubDistance) {
+    const parsed = Number(scrubDistance);
+    this[setState]({ scrubDistance: parsed > 0 ? parsed : 4 });
+  }
+
+  /**
+   * True if the pointer is locked while scrubbing, which hides it and lets the
+   * drag go on past the edges of the screen. This depends on the browser
+   * supporting the Pointer Lock API.
+   *
+   * @type {boolean}
+   * @default false
+   */
+  get scrubPointerLock() {
+    return this[state].scrubPointerLock;
+  }
+  set scrubPointerLock(scrubPointerLock) {
+    this[setState]({
+      scrubPointerLock: booleanAttributeValue(
+        "scrub-pointer-lock",
+        scrubPointerLock
+      ),
+    });
+  }
+
+  [stateEffects](state, changed) {
+    const effects = super[stateEffects](state, changed);
+
+    // An explicit precision wins; otherwise infer one from the step. Amounts
+    // of money get at least the currency's usual decimal places (e.g., cents).
+    // A fraction of a step, taken with Alt held down, needs one more.
+    if (
+      changed.currency ||
+      changed.fineSteps ||
+      changed.format ||
+      changed.precision ||
+      changed.step
+    ) {
+      const { currency, fineSteps, format, precision, step } = state;
+      const digits =
+        precision !== null
+          ? precision
+          : format === "currency" && currency
+          ? Math.max(decimalPlaces(step), currencyDigits(currency))
+          : decimalPlaces(step);
+      const fractionDigits = fineSteps ? digits + 1 : digits;
+      Object.assign(effects, { fractionDigits });
+    }
+
+    // Round the value to the precision, which also removes floating-point
+    // drift like 0.1 + 0.2 = 0.30000000000000004. Then keep the value within
+    // the min/max range. Because this happens here, a change in min or max at
+    // runtime will also bring the value into range. A value the user is
+    // typing is left out of range until they commit it, so that they can type
+    // "15" on the way past "1" when the min is 10, and so that validation can
+    // flag it in the meantime.
+    if (
+      changed.fractionDigits ||
+      changed.max ||
+      changed.min ||
+      changed.typed ||
+      changed.value
+    ) {
+      const { fractionDigits, max, min, typed, value } = state;
+      const rounded = Number(value.toFixed(fractionDigits));
+      const keepRange = typed && !changed.max && !changed.min;
+      const clamped = keepRange ? rounded : clamp(rounded, min, max);
+      if (clamped !== value) {
+        Object.assign(effects, { value: clamped });
+      }
+    }
+
+    // Once the value is back on a whole step, it no longer needs the extra
+    // decimal place of a fraction of a step.
+    if (changed.value && state.fineSteps && onStep(state, state.step)) {
+      Object.assign(effects, { fineSteps: false });
+    }
+
+    // The value can be stepped toward a limit until it reaches it, unless it
+    // wraps around to the other end.
+    if (changed.max || changed.min || changed.value || changed.wrap) {
+      const { max, min, value, wrap } = state;
+      const bounded = wrap && max !== null && min !== null;
+      Object.assign(effects, {
+        canDecrement: bounded || min === null || value > min,
+        canIncrement: bounded || max === null || value < max,
       });
     }
 
-    // Render value state to input.
+    // The text submitted with a form. The raw number is saved as the state to
+    // restore, as the text shown for it may be rounded, e.g., in compact
+    // format.
+    if (changed.fractionDigits || changed.value) {
+      const { fractionDigits, value } = state;
+      Object.assign(effects, {
+        formState: String(value),
+        formValue: value.toFixed(fractionDigits),
+      });
+    }
+
+    // A new value replaces whatever text the user had typed.
     if (changed.value) {
-      this[ids].input.value = this[state].value;
+      Object.assign(effects, { badInput: false, draft: null, empty: false });
+    }
+
+    // Check the value against the constraints, as a native number input would.
+    if (
+      changed.badInput ||
+      changed.currency ||
+      changed.empty ||
+      changed.format ||
+      changed.fractionDigits ||
+      changed.locale ||
+      changed.max ||
+      changed.min ||
+      changed.required ||
+      changed.step ||
+      changed.value
+    ) {
+      const validityFlags = checkConstraints(state);
+      const failed = Object.keys(validityFlags).find(
+        (key) => validityFlags[key]
+      );
+      const locale = stateLocale(this, state);
+      const validationMessage = failed
+        ? formatMessage(this, locale.split("-")[0], failed, state)
+        : "";
+      Object.assign(effects, {
+        valid: !failed,
+        validationMessage,
+        validityFlags,
+      });
     }
+
+    return effects;
+  }
+
+  /**
+   * The amount by which `increment` and `decrement` change the value.
+   *
+   * @type {number}
+   * @default 1
+   */
+  get step() {
+    return this[state].step;
+  }
+  set step(step) {
+    const parsed = Number(step);
+    this[setState]({ step: parsed > 0 ? parsed : 1 });
+  }
+
+  // Take a number of steps of size `step`.
+  [stepValue](value, steps) {
+    return value + steps * this[state].step;
+  }
+
+  // Each swipe or scrub down takes one step down.
+  [swipeDown]() {
+    takeStep(this, -1);
+  }
+
+  // A swipe that has come to rest commits the value.
+  [swipeDownComplete]() {
+    commitChange(this);
+  }
+
+  // A gesture steps from the draft, if there is one.
+  [swipeStart]() {
+    commitDraft(this);
+  }
+
+  // Swiping vertically on the input spins the value.
+  get [swipeTarget]() {
+    return this[ids].input;
+  }
+
+  // Each swipe or scrub up takes one step up.
+  [swipeUp]() {
+    takeStep(this, 1);
+  }
+
+  [swipeUpComplete]() {
+    commitChange(this);
   }
 
   get [template]() {
@@ -104,6 +1007,21 @@ export default class SpinBox extends ReactiveElement {
           grid-column: 2;
           user-select: none;
         }
+
+        :host([scrub]:not([disabled]):not([readonly])),
+        :host([scrub]:not([disabled]):not([readonly]))
+          [part~="input"]:not(:focus-within),
+        :host([scrubbing]) {
+          cursor: ew-resize;
+        }
+
+        :host([scrub]) [part~="spin-button"] {
+          cursor: default;
+        }
+
+        :host([scrubbing]) {
+          user-select: none;
+        }
       </style>
       <div id="input" part="input"></div>
       <div id="upButton" part="spin-button up-button"></div>
@@ -111,12 +1029,830 @@ export default class SpinBox extends ReactiveElement {
     `;
   }
 
+  /**
+   * The value of the spin box.
+   *
+   * A number is taken as is. Text is read the same way as text the user
+   * types, in the spin box's locale and format, via `[parseValue]`.
+   *
+   * @type {number}
+   * @default 0
+   */
   get value() {
     return this[state].value;
   }
   set value(value) {
-    this[setState]({ value });
+    // Setting the value, even to the same value, replaces any draft. Unless
+    // the user is typing it, the value is brought into range right away.
+    this[setState]({ draft: null, typed: Boolean(this[typingKey]) });
+    if (typeof value === "number" && !isNaN(value)) {
+      this[setState]({ badInput: false, empty: false, value });
+      return;
+    }
+    // Text that isn't a valid value leaves the value alone, but is flagged so
+    // that validation can report it. This includes text the user hasn't
+    // finished typing, like a lone minus sign on the way to a negative number.
+    const text = String(value).trim();
+    const parsed = text === "" ? null : this[parseValue](text);
+    if (text === "") {
+      this[setState]({ badInput: false, empty: true });
+    } else if (!parsed) {
+      this[setState]({ badInput: true, empty: false });
+    } else {
+      // Apply any other state first, e.g., a unit that determines the
+      // precision, so that the value is rounded with that in place.
+      const { value: number, ...others } = parsed;
+      this[setState]({ badInput: false, empty: false, ...others });
+      this[setState]({ value: number });
+    }
+  }
+
+  // Read the value the way it's shown.
+  [valueText](value) {
+    return this[formatValue](value);
+  }
+
+  /**
+   * True if the mouse wheel or trackpad can change the value while the spin
+   * box has focus.
+   *
+   * When the spin box doesn't have focus, the wheel scrolls the page as usual.
+   *
+   * @type {boolean}
+   * @default false
+   */
+  get wheel() {
+    return this[state].wheel;
+  }
+  set wheel(wheel) {
+    this[setState]({ wheel: booleanAttributeValue("wheel", wheel) });
+  }
+
+  /**
+   * True if stepping past one end of the min/max range should cycle around
+   * to the other end, as with a picker for hours or angles.
+   *
+   * This has no effect unless both `min` and `max` are set.
+   *
+   * @type {boolean}
+   * @default false
+   */
+  get wrap() {
+    return this[state].wrap;
+  }
+  set wrap(wrap) {
+    this[setState]({ wrap: booleanAttributeValue("wrap", wrap) });
+  }
+}
+
+// Parse the draft, if there is one, and take it as the value. Text that isn't
+// a valid value is flagged as bad input, as if it had been typed without a
+// draft.
+function applyDraft(element) {
+  const { draft } = element[state];
+  if (draft !== null) {
+    element.value = draft;
+  }
+}
+
+// Replace the digits of any numbering system (Arabic-Indic, Devanagari, etc.)
+// with ASCII digits.
+function asciiDigits(text) {
+  if (!digitMap) {
+    digitMap = new Map();
+    const systems = Intl.supportedValuesOf
+      ? Intl.supportedValuesOf("numberingSystem")
+      : [];
+    systems.forEach((system) => {
+      const formatter = new Intl.NumberFormat(`en-u-nu-${system}`, {
+        useGrouping: false,
+      });
+      // Algorithmic systems like Roman numerals don't have ten digits.
+      const digits = [...formatter.format(9876543210)];
+      if (digits.length === 10) {
+        digits.forEach((digit, index) => {
+          digitMap.set(digit, String(9 - index));
+        });
+      }
+    });
+  }
+  return [...text].map((char) => digitMap.get(char) || char).join("");
+}
+
+// Return the validity flags for the given state, using the same names as the
+// standard ValidityState. After a fraction of a step, a value on a fraction of
+// a step is valid too.
+function checkConstraints(state) {
+  const { badInput, empty, fineSteps, max, min, required, step, value } = state;
+  const hasValue = !badInput && !empty;
+  const allowedStep = fineSteps ? step * altMultiplier : step;
+  return {
+    badInput,
+    rangeOverflow: hasValue && max !== null && value > max,
+    rangeUnderflow: hasValue && min !== null && value < min,
+    stepMismatch: hasValue && !onStep(state, allowedStep),
+    valueMissing: required && empty,
+  };
+}
+
+// Constrain the number to the given limits, either of which may be null.
+function clamp(number, min, max) {
+  let result = number;
+  if (max !== null && result > max) {
+    result = max;
+  }
+  if (min !== null && result < min) {
+    result = min;
+  }
+  return result;
+}
+
+// If the user has changed the value since the last commit, and it's now
+// different from where they started, let the outside world know.
+function commitChange(element) {
+  // A draft becomes the value now.
+  commitDraft(element);
+
+  // Replace what the user typed, like an expression or "1.", with the text of
+  // the value it represents. Text that isn't a valid value is left for the
+  // user to fix.
+  const { badInput, empty, value } = element[state];
+  const input = element[ids].input;
+  const text = element[formatValue](value);
+  if (!badInput && !empty && input.value !== text) {
+    input.value = text;
+    element[renderedTextKey] = text;
+  }
+
+  const previous = element[editStartKey];
+  if (previous === undefined) {
+    return;
+  }
+  element[editStartKey] = undefined;
+  if (element.value !== previous) {
+    /**
+     * Raised when the user commits a change to the value: by leaving the spin
+     * box, pressing Enter, releasing a button after stepping with it, or
+     * finishing a scrub or swipe.
+     *
+     * @event change
+     */
+    element.dispatchEvent(new Event("change", { bubbles: true }));
+  }
+}
+
+// Take the draft, if there is one, as the value, and bring a value the user
+// typed into range. Let the outside world know if that changes the value.
+function commitDraft(element) {
+  const previous = element.value;
+  applyDraft(element);
+  element[setState]({ typed: false });
+  if (element.value !== previous) {
+    element[raiseChangeEvents] = true;
+    raiseInputEvent(element, previous);
+    element[raiseChangeEvents] = false;
+  }
+}
+
+// Return the suffixes the locale uses in compact notation, like "k" and "m"
+// in English, each with the power of ten it stands for. Suffixes are lower
+// case, and longer ones come first so that, e.g., German "Mrd." isn't taken
+// for "M".
+function compactSuffixes(locale) {
+  const formatter = new Intl.NumberFormat(locale, { notation: "compact" });
+  const suffixes = new Map();
+  for (let exponent = 3; exponent <= 15; exponent++) {
+    const parts = formatter.formatToParts(10 ** exponent);
+    const compact = parts.find((part) => part.type === "compact");
+    const integer = parts.find((part) => part.type === "integer");
+    if (compact && integer) {
+      // Ten thousand is "10K": the suffix stands for 10 ** 3, not 10 ** 4.
+      const suffix = normalize(compact.value).toLowerCase();
+      const power = exponent - (asciiDigits(integer.value).length - 1);
+      if (!suffixes.has(suffix)) {
+        suffixes.set(suffix, power);
+      }
+    }
+  }
+  return [...suffixes].sort((a, b) => b[0].length - a[0].length);
+}
+
+// Return the number of decimal places the currency usually shows.
+function currencyDigits(currency) {
+  const formatter = new Intl.NumberFormat("en", {
+    currency,
+    style: "currency",
+  });
+  return formatter.resolvedOptions().maximumFractionDigits;
+}
+
+// Return the ways the locale writes the currency: its symbol, its narrow
+// symbol (e.g., "$" for "US$") and its code. Longer ones come first.
+function currencySymbols(locale, currency) {
+  const symbols = ["symbol", "narrowSymbol", "code"].map((currencyDisplay) => {
+    const formatter = new Intl.NumberFormat(locale, {
+      currency,
+      currencyDisplay,
+      style: "currency",
+    });
+    const parts = formatter.formatToParts(1);
+    const part = parts.find((part) => part.type === "currency");
+    return part ? normalize(part.value) : currency;
+  });
+  return symbols.sort((a, b) => b.length - a.length);
+}
+
+// Return the number of digits after the decimal point needed to represent the
+// given number, including numbers that stringify in exponent form like 1e-7.
+function decimalPlaces(number) {
+  const match = /(?:\.(\d+))?(?:e([+-]\d+))?$/.exec(String(number));
+  const fraction = match && match[1] ? match[1].length : 0;
+  const exponent = match && match[2] ? parseInt(match[2]) : 0;
+  return Math.max(0, fraction - exponent);
+}
+
+/**
+ * Convert text typed in the element's locale and format to the plain form
+ * `parseFloat` understands: ASCII digits, no grouping separators, a period for
+ * the decimal point and a hyphen for the minus sign. Full-width characters and
+ * the digits of other numbering systems are accepted too. Currency symbols,
+ * percent signs and compact suffixes like "K" are removed, with the number
+ * scaled accordingly. Any other text, like a unit, is left as is.
+ *
+ * @param {SpinBox} element
+ * @param {string} text
+ * @returns {string}
+ */
+export function delocalize(element, text) {
+  const { locale } = element;
+  const { currency, format } = element[state];
+  const { decimal, group, minusSign } = localeSymbols(locale);
+  let normalized = asciiDigits(normalize(String(text)));
+
+  // Remove whatever the format adds to the number, noting the power of ten by
+  // which that scales the number.
+  let exponent = 0;
+  if (format === "currency" && currency) {
+    currencySymbols(locale, currency).forEach((symbol) => {
+      normalized = replaceText(normalized, symbol);
+    });
+  } else if (format === "percent") {
+    // A number typed without the percent sign is still a percentage.
+    normalized = replaceText(normalized, percentSign(locale));
+    exponent = -2;
+  } else if (format === "compact") {
+    const suffix = compactSuffixes(locale).find(([suffix]) =>
+      normalized.toLowerCase().includes(suffix)
+    );
+    if (suffix) {
+      normalized = replaceText(normalized, suffix[0]);
+      exponent = suffix[1];
+    }
+  } else if (format === "scientific") {
+    normalized = replaceText(normalized, exponentSeparator(locale), "e");
+  }
+
+  // Normalization turns the no-break spaces some locales group with into
+  // plain spaces, which the user may well have typed anyway.
+  const ungrouped = !group
+    ? normalized
+    : /\s/.test(group)
+    ? normalized.replace(/\s/g, "")
+    : normalized.split(group).join("");
+  const plain = ungrouped
+    .split(decimal)
+    .join(".")
+    .split(minusSign)
+    .join("-")
+    .replace(/\u2212/g, "-");
+
+  // Scale by adjusting the exponent, which avoids floating-point error.
+  return exponent === 0
+    ? plain
+    : plain.replace(/-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/i, (number) => {
+        const [mantissa, power = "0"] = number.toLowerCase().split("e");
+        return String(Number(`${mantissa}e${Number(power) + exponent}`));
+      });
+}
+
+// Return the language of the element or, failing that, the document.
+function documentLocale(element) {
+  const langElement = element.closest("[lang]") || document.documentElement;
+  return langElement.lang || navigator.language || "en";
+}
+
+// Return true if the user is allowed to change the value.
+function editable(element) {
+  const { disabled, formDisabled, readOnly } = element[state];
+  return !disabled && !formDisabled && !readOnly;
+}
+
+// Return the symbol the locale uses to separate a number from its exponent
+// in scientific notation, e.g., "E".
+function exponentSeparator(locale) {
+  const formatter = new Intl.NumberFormat(locale, { notation: "scientific" });
+  const parts = formatter.formatToParts(1000);
+  const part = parts.find((part) => part.type === "exponentSeparator");
+  return part ? normalize(part.value) : "E";
+}
+
+/**
+ * Return the element that takes the focus for the spin box's input part: the
+ * part itself or, for a wrapped standard element like `Input`, the standard
+ * `input` element inside it.
+ *
+ * @param {SpinBox} element
+ * @returns {HTMLElement}
+ */
+export function focusableInput(element) {
+  const input = element[ids].input;
+  return input instanceof WrappedStandardElement ? input.inner : input;
+}
+
+// Remove any characters the spin box doesn't accept from the input, e.g., from
+// pasted text or a finished composition, keeping the caret in the same place
+// relative to the text around it.
+function filterInput(element) {
+  const input = focusableInput(element);
+  const { selectionEnd, selectionStart, value } = input;
+  const accepted = new Map();
+  let filtered = "";
+  let start = selectionStart;
+  let end = selectionEnd;
+  let offset = 0;
+  Array.from(value).forEach((char) => {
+    if (!accepted.has(char)) {
+      accepted.set(char, element[acceptsCharacter](char));
+    }
+    if (accepted.get(char)) {
+      filtered += char;
+    } else {
+      start -= offset < selectionStart ? char.length : 0;
+      end -= offset < selectionEnd ? char.length : 0;
+    }
+    offset += char.length;
+  });
+  if (filtered !== value) {
+    input.value = filtered;
+    input.setSelectionRange(start, end);
+    // A wrapped input like CustomInput keeps its own copy of the text and
+    // selection, which it would otherwise render back into the inner input.
+    if (element[ids].input !== input) {
+      element[ids].input.value = filtered;
+    }
+  }
+}
+
+// Return the validation message for the failed constraint in the language,
+// falling back to English. The limits are shown the same way as the value.
+function formatMessage(element, language, constraint, state) {
+  const messages = validationMessages[language] || validationMessages.en;
+  return messages[constraint].replace(/{(\w+)}/g, (match, name) =>
+    name === "max" || name === "min"
+      ? element[formatValue](state[name], state)
+      : state[name]
+  );
+}
+
+// Return the symbols the locale and format use besides digits and minus signs,
+// in lowercase, along with operators if the spin box evaluates expressions.
+// Formats other than plain numbers, and expressions, can have spaces.
+function formatSymbols(element) {
+  const { locale } = element;
+  const { currency, expressions, format } = element[state];
+  const { decimal, group, minusSign } = localeSymbols(locale);
+  const symbols = [decimal, group, minusSign];
+  if (format === "currency" && currency) {
+    symbols.push(...currencySymbols(locale, currency));
+  } else if (format === "percent") {
+    symbols.push(percentSign(locale));
+  } else if (format === "compact") {
+    symbols.push(...compactSuffixes(locale).map(([suffix]) => suffix));
+  } else if (format === "scientific") {
+    symbols.push(exponentSeparator(locale));
+  }
+  if (format !== null) {
+    symbols.push(" ");
+  }
+  if (expressions) {
+    symbols.push(" ()*+/\u00d7\u00f7");
+  }
+  return symbols.join("").toLowerCase();
+}
+
+/**
+ * Format the number for display in the element's locale and format, with
+ * grouping separators and the locale's own digits. The locale and format are
+ * those of the given state, by default the element's current state.
+ *
+ * @param {SpinBox} element
+ * @param {number} number
+ * @param {PlainObject} [formatState]
+ * @returns {string}
+ */
+export function formatNumber(element, number, formatState = element[state]) {
+  const options = numberFormatOptions(formatState);
+  const formatter = new Intl.NumberFormat(
+    stateLocale(element, formatState),
+    options
+  );
+  // Show negative zero as plain zero, as toFixed does.
+  return formatter.format(number || 0);
+}
+
+// Accumulate wheel movement and take a step once it adds up to a full step.
+// Return true if the wheel event was handled.
+function handleWheel(element, event) {
+  if (
+    !element[state].wheel ||
+    !editable(element) ||
+    !element.matches(":focus-within")
+  ) {
+    return false;
+  }
+
+  // Mouse wheels that report in lines or pages take a step per notch;
+  // trackpads that report in pixels have to travel a certain distance.
+  const delta =
+    event.deltaMode === WheelEvent.DOM_DELTA_PIXEL
+      ? event.deltaY
+      : Math.sign(event.deltaY) * wheelStepDistance;
+  const accumulated = (element[wheelDeltaKey] || 0) + delta;
+  const now = Date.now();
+  const lastStep = element[wheelTimeKey] || 0;
+  if (
+    Math.abs(accumulated) >= wheelStepDistance &&
+    now - lastStep >= wheelStepInterval
+  ) {
+    // Wheeling up (negative delta) increases the value. Any leftover distance
+    // is dropped so that one gesture can't queue up a run of steps.
+    stepBy(element, accumulated < 0 ? 1 : -1);
+    element[wheelDeltaKey] = 0;
+    element[wheelTimeKey] = now;
+  } else {
+    element[wheelDeltaKey] = accumulated;
+  }
+  return true;
+}
+
+// Step the value in the given direction when the user presses the button.
+function listenToButton(element, button, direction) {
+  // Pressing with the primary (usually left) pointer button takes a step.
+  button.addEventListener("pointerdown", (event) => {
+    if (event.button === 0) {
+      stepWithButton(element, button, direction);
+    }
+  });
+  // Clicks from a pointer follow a pointerdown we've already handled; a click
+  // with no detail comes from the keyboard (Space or Enter).
+  button.addEventListener("click", (event) => {
+    if (event.detail === 0) {
+      stepWithButton(element, button, direction);
+    }
+  });
+  // A button that repeats while held down asks for each further step.
+  button.addEventListener("repeat", () => {
+    stepWithButton(element, button, direction);
+  });
+
+  // Releasing a button, or a key held down on it, ends a burst of repeated
+  // steps: commit the value. So does a button losing the pointer, as it may
+  // when it's disabled on reaching a limit while held down.
+  const commit = () => {
+    commitChange(element);
+  };
+  button.addEventListener("keyup", commit);
+  button.addEventListener("lostpointercapture", commit);
+  button.addEventListener("pointercancel", commit);
+  button.addEventListener("pointerup", commit);
+}
+
+// Let the user scrub the value by pressing on the input while it doesn't have
+// the focus, or on the element's own border, and dragging. The drag is tracked
+// with pointer capture, so it can leave the element, and reported as swipes:
+// one swipe up or down for each step.
+function listenToScrub(element) {
+  let drag = null;
+
+  element.addEventListener("pointerdown", (event) => {
+    const input = focusableInput(element);
+    const origin = event.composedPath()[0];
+    const onInput =
+      (origin === input || origin === element[ids].input) &&
+      !input.matches(":focus");
+    // Touch swipes are handled by TouchSwipeMixin instead.
+    if (
+      event.pointerType !== "mouse" ||
+      !element[state].scrub ||
+      !editable(element) ||
+      event.button !== 0 ||
+      !event.isPrimary ||
+      !(onInput || origin === element)
+    ) {
+      return;
+    }
+    // Keep the press from focusing the input or selecting text until we know
+    // whether it's a click or a drag.
+    event.preventDefault();
+    element.setPointerCapture(event.pointerId);
+    drag = {
+      distance: 0,
+      onInput,
+      pointerId: event.pointerId,
+      scrubbing: false,
+      steps: 0,
+      x: event.clientX,
+      y: event.clientY,
+    };
+  });
+
+  element.addEventListener("pointermove", (event) => {
+    if (!drag || event.pointerId !== drag.pointerId) {
+      return;
+    }
+    // While the pointer is locked, its position doesn't change; only the
+    // movement since the last event is reported.
+    const dx =
+      typeof event.movementX === "number"
+        ? event.movementX
+        : event.clientX - drag.x;
+    const dy =
+      typeof event.movementY === "number"
+        ? event.movementY
+        : event.clientY - drag.y;
+    drag.x = event.clientX;
+    drag.y = event.clientY;
+    // Dragging right or up increases the value.
+    const distance = dx - dy;
+
+    if (!drag.scrubbing) {
+      drag.distance += distance;
+      if (Math.abs(drag.distance) < scrubThreshold) {
+        return;
+      }
+      drag.scrubbing = true;
+      element[setState]({ scrubbing: true });
+      element[swipeStart](event.clientX, event.clientY);
+      if (element[state].scrubPointerLock && element.requestPointerLock) {
+        element.requestPointerLock();
+      }
+      return;
+    }
+
+    // Count the distance in steps, allowing for floating-point error when a
+    // modifier key makes each pixel worth a fraction of a step. Whatever's
+    // left over counts toward the next step.
+    drag.steps +=
+      (distance / element[state].scrubDistance) * modifierMultiplier(event);
+    const steps = Math.trunc(drag.steps + Math.sign(drag.steps) * 1e-9);
+    drag.steps -= steps;
+    for (let i = 0; i < Math.abs(steps); i++) {
+      if (steps > 0) {
+        element[swipeUp]();
+      } else {
+        element[swipeDown]();
+      }
+    }
+  });
+
+  // Releasing the pointer ends the scrub and commits the value. A press that
+  // never became a drag is a click, which starts editing the input.
+  const end = (event) => {
+    if (!drag || event.pointerId !== drag.pointerId) {
+      return;
+    }
+    const { onInput, scrubbing } = drag;
+    drag = null;
+    if (element.hasPointerCapture(event.pointerId)) {
+      element.releasePointerCapture(event.pointerId);
+    }
+    if (scrubbing) {
+      if (document.pointerLockElement === element) {
+        document.exitPointerLock();
+      }
+      element[setState]({ scrubbing: false });
+      commitChange(element);
+    } else if (onInput && event.type === "pointerup") {
+      const input = focusableInput(element);
+      input.focus();
+      input.select();
+    }
+  };
+  element.addEventListener("pointercancel", end);
+  element.addEventListener("pointerup", end);
+  // Locking the pointer takes away the pointer capture, but the drag goes on.
+  element.addEventListener("lostpointercapture", (event) => {
+    if (document.pointerLockElement !== element) {
+      end(event);
+    }
+  });
+}
+
+// Return the decimal point, grouping separator and minus sign of the locale,
+// normalized the same way as typed text.
+function localeSymbols(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(-1234567.5);
+  const symbol = (type) => {
+    const part = parts.find((part) => part.type === type);
+    return part ? normalize(part.value) : "";
+  };
+  return {
+    decimal: symbol("decimal") || ".",
+    group: symbol("group"),
+    minusSign: symbol("minusSign") || "-",
+  };
+}
+
+// Return the multiplier for a keyboard or scrub step given the modifier keys
+// held down.
+function modifierMultiplier(event) {
+  return event.ctrlKey || event.metaKey
+    ? ctrlMultiplier
+    : event.shiftKey
+    ? shiftMultiplier
+    : event.altKey
+    ? altMultiplier
+    : 1;
+}
+
+// Normalize text for comparison: full-width characters become their ASCII
+// equivalents, and invisible bidirectional marks are removed.
+function normalize(text) {
+  return text.normalize("NFKC").replace(bidiMarksRegex, "");
+}
+
+// Return the Intl.NumberFormat options for the format in the state.
+function numberFormatOptions(state) {
+  const { currency, format } = state;
+  // Intl.NumberFormat supports at most 20 decimal places. A percentage shows
+  // two fewer decimal places than the underlying number: 0.455 is 45.5%.
+  const fractionDigits = Math.min(state.fractionDigits, 20);
+  const percentDigits = Math.max(fractionDigits - 2, 0);
+  const decimalOptions = {
+    maximumFractionDigits: fractionDigits,
+    minimumFractionDigits: fractionDigits,
+  };
+  switch (format) {
+    case "compact":
+      return { notation: "compact" };
+
+    case "currency":
+      return currency
+        ? { ...decimalOptions, currency, style: "currency" }
+        : decimalOptions;
+
+    case "percent":
+      return {
+        maximumFractionDigits: percentDigits,
+        minimumFractionDigits: percentDigits,
+        style: "percent",
+      };
+
+    case "scientific":
+      return { notation: "scientific" };
+
+    default:
+      return decimalOptions;
+  }
+}
+
+// Return true if the value is a whole number of the given steps from the min,
+// or from zero if there's no min, allowing for floating-point error.
+function onStep(state, step) {
+  const { min, value } = state;
+  const steps = (value - (min !== null ? min : 0)) / step;
+  return Math.abs(steps - Math.round(steps)) <= 1e-9;
+}
+
+// Parse a numeric attribute or property value like min or max; a missing or
+// unparseable value is returned as null.
+function parseNumber(value) {
+  const parsed = value === null || value === "" ? NaN : Number(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+// Return the percent sign of the locale.
+function percentSign(locale) {
+  const formatter = new Intl.NumberFormat(locale, { style: "percent" });
+  const part = formatter
+    .formatToParts(1)
+    .find((part) => part.type === "percentSign");
+  return part ? normalize(part.value) : "%";
+}
+
+// Raise an `input` event for a change the user has made. The value before the
+// first uncommitted change is remembered so that committing can tell whether
+// the value has really changed.
+function raiseInputEvent(element, previous) {
+  if (element[editStartKey] === undefined) {
+    element[editStartKey] = previous;
+  }
+  /**
+   * Raised for each change the user makes to the value: each keystroke, each
+   * step taken with the keyboard, wheel, buttons or by scrubbing or swiping,
+   * and each repeated step while a button is held down.
+   *
+   * @event input
+   */
+  element.dispatchEvent(new Event("input", { bubbles: true, composed: true }));
+}
+
+// Read text that's nothing but a number, or return null.
+function readNumber(text) {
+  const numberRegex = /^\s*-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?\s*$/i;
+  return numberRegex.test(text) ? parseFloat(text) : null;
+}
+
+// Replace the first occurrence of the search text, ignoring case. By default,
+// the text is removed.
+function replaceText(text, search, replacement = "") {
+  const index = search ? text.toLowerCase().indexOf(search.toLowerCase()) : -1;
+  return index < 0
+    ? text
+    : text.slice(0, index) + replacement + text.slice(index + search.length);
+}
+
+// Discard the draft, or text that isn't a valid value, and show the text of
+// the committed value.
+function revertDraft(element) {
+  element[setState]({ badInput: false, draft: null });
+  const { empty, value } = element[state];
+  const text = empty ? "" : element[formatValue](value);
+  element[ids].input.value = text;
+  element[renderedTextKey] = text;
+}
+
+/**
+ * Return the locale of the given state, by default the element's current
+ * state: the `locale` set on the element or, failing that, the language of
+ * the element or the document.
+ *
+ * @param {SpinBox} element
+ * @param {PlainObject} [localeState]
+ * @returns {string}
+ */
+export function stateLocale(element, localeState = element[state]) {
+  return localeState.locale || documentLocale(element);
+}
+
+// Take the given number of steps from the value. In wrap mode, going past one
+// end of the range cycles around to the other end.
+function stepBy(element, steps) {
+  // Step from the draft, if there is one.
+  applyDraft(element);
+  const { fineSteps, max, min, value, wrap } = element[state];
+  const next = element[stepValue](value, steps);
+  const bounded = wrap && max !== null && min !== null;
+  const result =
+    bounded && next > max ? min : bounded && next < min ? max : next;
+  // A fraction of a step takes one more decimal place. That's applied first,
+  // so that the value isn't rounded back to where it was.
+  if (!Number.isInteger(steps)) {
+    element[setState]({ fineSteps: true });
+  }
+  element[setState]({ typed: false, value: result });
+  if (element[state].value === value) {
+    // The value couldn't move, e.g., at a limit.
+    element[setState]({ fineSteps });
+  }
+}
+
+// Take a step in response to a button press or repeat. A button that
+// accelerates while held down asks for a larger step via `stepMultiplier`.
+function stepWithButton(element, button, direction) {
+  const multiplier = button.stepMultiplier || 1;
+  takeStep(element, direction * multiplier);
+}
+
+// Take the given number of steps on behalf of the user, if they're allowed to
+// change the value, and let the outside world know.
+function takeStep(element, steps) {
+  if (!editable(element)) {
+    return;
+  }
+  element[raiseChangeEvents] = true;
+  const previous = element.value;
+  stepBy(element, steps);
+  if (element.value !== previous) {
+    raiseInputEvent(element, previous);
+  }
+  element[raiseChangeEvents] = false;
+}
+
+// Filter the input's text, then take it as the value, or as the draft.
+function updateFromInput(element) {
+  filterInput(element);
+  if (element[state].commitOnBlur) {
+    element[setState]({ draft: element[ids].input.value });
+    return;
   }
+  element[raiseChangeEvents] = true;
+  const previous = element.value;
+  element[typingKey] = true;
+  element.value = element[ids].input.value;
+  element[typingKey] = false;
+  raiseInputEvent(element, previous);
+  element[raiseChangeEvents] = false;
 }
 
 customElements.define("spin-box", SpinBox);
@@ -0,0 +1,183 @@
+/*
+ * Arithmetic expressions a spin box can evaluate, like "120+15", "3×16px" or
+ * "(100 − 4) / 3".
+ *
+ * An expression combines operands with + − × ÷ (or the ASCII - * /),
+ * parentheses and unary minus. It's evaluated by a small recursive-descent
+ * parser, never by `eval`, so typed text can't run code. The operands are
+ * whatever lies between the operators, like "16px" or "1.234,5"; the caller
+ * reads them, so that each operand can be in the spin box's own locale and
+ * format, and can have a unit.
+ */
+
+/**
+ * @typedef {object} Quantity
+ * @property {number} number
+ * @property {string} unit - the unit of the number, or an empty string
+ */
+
+// The characters that act as operators, and the operation each stands for.
+const operators = new Map([
+  ["(", "("],
+  [")", ")"],
+  ["*", "*"],
+  ["+", "+"],
+  ["-", "-"],
+  ["/", "/"],
+  ["\u00d7", "*"],
+  ["\u00f7", "/"],
+  ["\u2212", "-"],
+]);
+
+// Invisible bidirectional marks some locales put around signs and numbers.
+const bidiMarksRegex = /[\u061c\u200e\u200f]/g;
+
+/**
+ * Evaluate the expression. Return null if it's malformed, or if the result
+ * isn't a finite number, e.g., after a division by zero.
+ *
+ * Operands with different units can be added or subtracted if `convert` can
+ * convert one unit to the other, and an operand without a unit takes on the
+ * unit of the other. Only one of the operands of a multiplication can have a
+ * unit, and a divisor can only have a unit if the dividend has one too, in
+ * which case the result is a plain ratio.
+ *
+ * @param {string} text
+ * @param {(operand: string) => Quantity|null} readOperand - reads the text of
+ * an operand, returning null if it isn't valid
+ * @param {(number: number, from: string, to: string) => number|null} [convert]
+ * - converts a number between units, returning null if it can't
+ * @returns {Quantity|null}
+ */
+export function evaluate(text, readOperand, convert = () => null) {
+  const tokens = tokenize(String(text).normalize("NFKC"));
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const take = () => tokens[index++];
+
+  // expression = term (("+" | "-") term)*
+  const expression = () => {
+    let result = term();
+    while (peek() === "+" || peek() === "-") {
+      const sign = take() === "+" ? 1 : -1;
+      result = add(result, term(), sign, convert);
+    }
+    return result;
+  };
+
+  // term = factor (("*" | "/") factor)*
+  const term = () => {
+    let result = factor();
+    while (peek() === "*" || peek() === "/") {
+      result =
+        take() === "*"
+          ? multiply(result, factor())
+          : divide(result, factor(), convert);
+    }
+    return result;
+  };
+
+  // factor = ("+" | "-") factor | "(" expression ")" | operand
+  const factor = () => {
+    const token = take();
+    if (token === "+" || token === "-") {
+      const { number, unit } = factor();
+      return { number: token === "-" ? -number : number, unit };
+    } else if (token === "(") {
+      const result = expression();
+      if (take() !== ")") {
+        throw new SyntaxError("Missing closing parenthesis");
+      }
+      return result;
+    } else if (token === undefined || operators.has(token)) {
+      throw new SyntaxError("Missing operand");
+    }
+    const operand = readOperand(token);
+    if (!operand) {
+      throw new SyntaxError(`Invalid operand: ${token}`);
+    }
+    return operand;
+  };
+
+  try {
+    const result = expression();
+    if (index < tokens.length) {
+      throw new SyntaxError("Unexpected text after expression");
+    }
+    return isFinite(result.number) ? result : null;
+  } catch (e) {
+    if (e instanceof SyntaxError) {
+      return null;
+    }
+    throw e;
+  }
+}
+
+// Add or subtract the quantities, converting the second to the unit of the
+// first if necessary.
+function add(a, b, sign, convert) {
+  const number =
+    !a.unit || !b.unit || a.unit === b.unit
+      ? b.number
+      : convert(b.number, b.unit, a.unit);
+  if (number === null) {
+    throw new SyntaxError(`Can't convert ${b.unit} to ${a.unit}`);
+  }
+  return { number: a.number + sign * number, unit: a.unit || b.unit };
+}
+
+// Divide the quantities. Dividing by a quantity with a unit gives a ratio.
+function divide(a, b, convert) {
+  if (b.number === 0) {
+    throw new SyntaxError("Division by zero");
+  }
+  if (!b.unit) {
+    return { number: a.number / b.number, unit: a.unit };
+  }
+  const divisor =
+    a.unit === b.unit
+      ? b.number
+      : a.unit
+      ? convert(b.number, b.unit, a.unit)
+      : null;
+  if (divisor === null) {
+    throw new SyntaxError(`Can't divide by ${b.unit}`);
+  }
+  return { number: a.number / divisor, unit: "" };
+}
+
+// Multiply the quantities, at most one of which can have a unit.
+function multiply(a, b) {
+  if (a.unit && b.unit) {
+    throw new SyntaxError("Can't multiply two units");
+  }
+  return { number: a.number * b.number, unit: a.unit || b.unit };
+}
+
+// Split the text into operators and the operand text between them. A plus or
+// minus sign in an exponent, as in "1.5e-3", belongs to the operand.
+function tokenize(text) {
+  const tokens = [];
+  let operand = "";
+  const endOperand = () => {
+    const trimmed = operand.replace(bidiMarksRegex, "").trim();
+    if (trimmed) {
+      tokens.push(trimmed);
+    }
+    operand = "";
+  };
+  Array.from(text).forEach((char) => {
+    const operator = operators.get(char);
+    const exponentSign =
+      (operator === "+" || operator === "-") && /\d[eE]$/.test(operand);
+    if (operator && !exponentSign) {
+      endOperand();
+      tokens.push(operator);
+    } else {
+      operand += char;
+    }
+  });
+  endOperand();
+  return tokens;
+}
@@ -0,0 +1,148 @@
+/*
+ * The units a CustomSpinBox understands.
+ *
+ * Each unit has a name to read aloud, and the step and precision a spin box
+ * uses while that unit is selected. Units of the same dimension (length, time,
+ * etc.) also have a factor relating them to a common base unit, so a value
+ * can be converted from one to another. Call `defineUnit` to add a unit or
+ * change the settings of an existing one.
+ */
+
+/**
+ * @typedef {object} UnitDefinition
+ * @property {string|null} [dimension] - what the unit measures, e.g., "length"
+ * @property {number|((element: Element) => number)|null} [factor] - the size
+ * of one of the unit in the dimension's base unit, or a function returning it
+ * @property {string} [name] - the unit's name as it should be read aloud
+ * @property {number|null} [precision] - the number of decimal places to show
+ * @property {number} [step] - the amount by which a step changes the value
+ */
+
+const registry = new Map();
+
+/**
+ * Convert a number from one unit to another. Return null if either unit is
+ * unknown, or if they don't measure the same dimension.
+ *
+ * @param {number} number
+ * @param {string} from
+ * @param {string} to
+ * @param {Element} element - the element whose font size em units refer to
+ * @returns {number|null}
+ */
+export function convertUnits(number, from, to, element) {
+  const fromUnit = registry.get(from);
+  const toUnit = registry.get(to);
+  if (
+    !fromUnit ||
+    !toUnit ||
+    !fromUnit.dimension ||
+    fromUnit.dimension !== toUnit.dimension
+  ) {
+    return null;
+  }
+  return (number * factor(fromUnit, element)) / factor(toUnit, element);
+}
+
+/**
+ * Return the units in the registry.
+ *
+ * @returns {string[]}
+ */
+export function allUnits() {
+  return [...registry.keys()];
+}
+
+/**
+ * Add a unit to the registry, or replace the definition of an existing unit.
+ *
+ * @param {string} unit - the unit as typed after a number, e.g., "px"
+ * @param {UnitDefinition} definition
+ */
+export function defineUnit(unit, definition) {
+  registry.set(unit, {
+    dimension: null,
+    factor: null,
+    name: unit,
+    precision: null,
+    step: 1,
+    ...definition,
+  });
+}
+
+/**
+ * Return the definition of the unit, or null if it's not a known unit.
+ *
+ * @param {string} unit
+ * @returns {UnitDefinition|null}
+ */
+export function getUnit(unit) {
+  return registry.get(unit) || null;
+}
+
+function factor(unit, element) {
+  return typeof unit.factor === "function" ? unit.factor(element) : unit.factor;
+}
+
+// Return the font size of the element in pixels, assuming the usual default
+// if it can't be determined.
+function fontSize(element) {
+  const size = parseFloat(getComputedStyle(element).fontSize);
+  return size > 0 ? size : 16;
+}
+
+defineUnit("%", { name: "percent" });
+defineUnit("cm", {
+  dimension: "length",
+  factor: 96 / 2.54,
+  name: "centimeters",
+  step: 0.1,
+});
+defineUnit("deg", { dimension: "angle", factor: 1, name: "degrees" });
+defineUnit("em", {
+  dimension: "length",
+  factor: (element) => fontSize(element),
+  name: "ems",
+  precision: 3,
+  step: 0.1,
+});
+defineUnit("in", {
+  dimension: "length",
+  factor: 96,
+  name: "inches",
+  precision: 2,
+  step: 0.1,
+});
+defineUnit("mm", {
+  dimension: "length",
+  factor: 96 / 25.4,
+  name: "millimeters",
+});
+defineUnit("ms", {
+  dimension: "time",
+  factor: 1,
+  name: "milliseconds",
+  step: 10,
+});
+defineUnit("pt", { dimension: "length", factor: 96 / 72, name: "points" });
+defineUnit("px", { dimension: "length", factor: 1, name: "pixels" });
+defineUnit("rem", {
+  dimension: "length",
+  factor: () => fontSize(document.documentElement),
+  name: "rems",
+  precision: 3,
+  step: 0.1,
+});
+defineUnit("s", {
+  dimension: "time",
+  factor: 1000,
+  name: "seconds",
+  precision: 2,
+  step: 0.1,
+});
+defineUnit("turn", {
+  dimension: "angle",
+  factor: 360,
+  name: "turns",
+  step: 0.1,
+});
@@ -0,0 +1,36 @@
+// lib is a JavaScript project, but we define TypeScript declarations so we can
+// confirm our code is type safe, and to support TypeScript users.
+
+/// <reference path="../core/shared.d.ts"/>
+
+import * as internal from "./internal.js";
+
+declare const ItemsSelectionMixin: StateMixin<
+  {},
+  {},
+  {
+    [internal.getItemText](item: Element | string): string;
+    [internal.goEnd](): boolean;
+    [internal.goNext](): boolean;
+    [internal.goPrevious](): boolean;
+    [internal.goStart](): boolean;
+    [internal.itemMatchesState](
+      item: Element | string,
+      state: PlainObject
+    ): boolean;
+    items: Array<Element | string>;
+    selectedIndex: number;
+    selectedItem: Element | string | null;
+    selectionWraps: boolean;
+  },
+  {
+    content: Array<Element | string> | null;
+    explicitItems: Array<Element | string> | null;
+    items: Array<Element | string>;
+    selectedIndex: number;
+    selectedItem: Element | string | null;
+    selectionWraps: boolean;
+  }
+>;
+
+export default ItemsSelectionMixin;
@@ -0,0 +1,286 @@
+import { booleanAttributeValue } from "../core/AttributeMarshallingMixin.js";
+import * as internal from "./internal.js";
+import ReactiveElement from "../core/ReactiveElement.js"; // eslint-disable-line no-unused-vars
+
+/** @type {any} */
+const observerKey = Symbol("observer");
+
+/**
+ * Tracks a list of items and a single selected item among them.
+ *
+ * The items come from the `items` property, if that has been set. Otherwise,
+ * they come from the `items` of the element returned by
+ * `internal.itemsDelegate`, if the component defines that, or else from the
+ * component's child elements. Either way, only items for which
+ * `internal.itemMatchesState` returns true are kept.
+ *
+ * Whenever there are items, one of them is selected. The mixin implements
+ * `internal.goNext`, `internal.goPrevious`, `internal.goStart` and
+ * `internal.goEnd` to move the selection. If `selectionWraps` is true, going
+ * past either end of the list wraps around to the other end.
+ *
+ * @module ItemsSelectionMixin
+ * @param {Constructor<ReactiveElement>} Base
+ */
+export default function ItemsSelectionMixin(Base) {
+  // The class prototype added by the mixin.
+  class ItemsSelection extends Base {
+    connectedCallback() {
+      if (super.connectedCallback) {
+        super.connectedCallback();
+      }
+      // Track changes in the content: added or removed items, or a change in
+      // an item's text or attributes. Changes to the component's own
+      // attributes, like `disabled`, don't affect the items.
+      if (!this[observerKey]) {
+        this[observerKey] = new MutationObserver(records => {
+          const relevant = records.some(
+            record => record.type !== "attributes" || record.target !== this
+          );
+          if (relevant) {
+            updateContent(this);
+          }
+        });
+      }
+      this[observerKey].observe(this, {
+        attributes: true,
+        characterData: true,
+        childList: true,
+        subtree: true
+      });
+      updateContent(this);
+    }
+
+    get [internal.defaultState]() {
+      return Object.assign(super[internal.defaultState], {
+        content: null,
+        explicitItems: null,
+        items: [],
+        selectedIndex: 0,
+        selectedItem: null,
+        selectionWraps: false
+      });
+    }
+
+    disconnectedCallback() {
+      if (super.disconnectedCallback) {
+        super.disconnectedCallback();
+      }
+      if (this[observerKey]) {
+        this[observerKey].disconnect();
+      }
+    }
+
+    /**
+     * Return the text of the item: the item itself if it's a string,
+     * otherwise the item's `aria-label` or text content.
+     *
+     * @param {Element|string} item
+     * @returns {string}
+     */
+    [internal.getItemText](item) {
+      if (typeof item === "string") {
+        return item;
+      }
+      return item.getAttribute("aria-label") || item.textContent.trim();
+    }
+
+    [internal.goEnd]() {
+      if (super[internal.goEnd]) {
+        super[internal.goEnd]();
+      }
+      return selectIndex(this, this[internal.state].items.length - 1);
+    }
+
+    [internal.goNext]() {
+      if (super[internal.goNext]) {
+        super[internal.goNext]();
+      }
+      return selectIndex(this, this[internal.state].selectedIndex + 1);
+    }
+
+    [internal.goPrevious]() {
+      if (super[internal.goPrevious]) {
+        super[internal.goPrevious]();
+      }
+      return selectIndex(this, this[internal.state].selectedIndex - 1);
+    }
+
+    [internal.goStart]() {
+      if (super[internal.goStart]) {
+        super[internal.goStart]();
+      }
+      return selectIndex(this, 0);
+    }
+
+    // Strings are always items. Elements are items unless they're hidden or
+    // aren't meant to be seen at all, like `script` or `style`.
+    [internal.itemMatchesState](item, state) {
+      const base = super[internal.itemMatchesState]
+        ? super[internal.itemMatchesState](item, state)
+        : true;
+      if (typeof item === "string") {
+        return base;
+      }
+      const nonItemTags = ["link", "meta", "script", "style", "template"];
+      return base && !nonItemTags.includes(item.localName) && !item.hidden;
+    }
+
+    /**
+     * The items in the list. These are strings or elements.
+     *
+     * Setting this replaces the items taken from the component's content.
+     * Setting it to null goes back to using the content. A string, as from
+     * the `items` attribute, is taken as a list of items separated by spaces,
+     * e.g., `items="S M L XL"`.
+     *
+     * @type {Array<Element|string>}
+     */
+    get items() {
+      return this[internal.state].items;
+    }
+    set items(items) {
+      const list =
+        typeof items === "string"
+          ? items.split(/\s+/).filter(Boolean)
+          : items
+          ? Array.from(items)
+          : null;
+      this[internal.setState]({ explicitItems: list });
+    }
+
+    [internal.rendered](changed) {
+      if (super[internal.rendered]) {
+        super[internal.rendered](changed);
+      }
+      if (changed.selectedIndex && this[internal.raiseChangeEvents]) {
+        /**
+         * Raised when the `selectedIndex` property changes in response to
+         * user action.
+         *
+         * @event selected-index-changed
+         */
+        const event = new CustomEvent("selected-index-changed", {
+          bubbles: true,
+          detail: { selectedIndex: this.selectedIndex }
+        });
+        this.dispatchEvent(event);
+      }
+    }
+
+    /**
+     * The index of the selected item, or -1 if there are no items.
+     *
+     * @type {number}
+     * @default 0
+     */
+    get selectedIndex() {
+      const { items, selectedIndex } = this[internal.state];
+      return items.length > 0 ? selectedIndex : -1;
+    }
+    set selectedIndex(selectedIndex) {
+      const parsed = Number(selectedIndex);
+      if (!isNaN(parsed)) {
+        this[internal.setState]({ selectedIndex: Math.trunc(parsed) });
+      }
+    }
+
+    /**
+     * The selected item, or null if there are no items.
+     *
+     * Setting this to something that isn't one of the items has no effect.
+     *
+     * @type {Element|string|null}
+     */
+    get selectedItem() {
+      return this[internal.state].selectedItem;
+    }
+    set selectedItem(selectedItem) {
+      const index = this[internal.state].items.indexOf(selectedItem);
+      if (index >= 0) {
+        this[internal.setState]({ selectedIndex: index });
+      }
+    }
+
+    /**
+     * True if going past the last item selects the first, and vice versa.
+     *
+     * @type {boolean}
+     * @default false
+     */
+    get selectionWraps() {
+      return this[internal.state].selectionWraps;
+    }
+    set selectionWraps(selectionWraps) {
+      this[internal.setState]({
+        selectionWraps: booleanAttributeValue("selection-wraps", selectionWraps)
+      });
+    }
+
+    [internal.stateEffects](state, changed) {
+      const effects = super[internal.stateEffects]
+        ? super[internal.stateEffects](state, changed)
+        : {};
+
+      // Take the items from the explicit list or the content.
+      if (changed.content || changed.explicitItems) {
+        const source = state.explicitItems || state.content || [];
+        const items = source.filter(item =>
+          this[internal.itemMatchesState](item, state)
+        );
+        Object.assign(effects, { items });
+      }
+
+      // Keep the selection within the items. When the items change, keep the
+      // same item selected if it's still there.
+      if (changed.items || changed.selectedIndex) {
+        const { items, selectedIndex, selectedItem } = state;
+        const count = items.length;
+        if (count > 0) {
+          const previousIndex =
+            changed.items && !changed.selectedIndex && selectedItem !== null
+              ? items.indexOf(selectedItem)
+              : -1;
+          const index =
+            previousIndex >= 0
+              ? previousIndex
+              : Math.max(0, Math.min(selectedIndex, count - 1));
+          Object.assign(effects, {
+            selectedIndex: index,
+            selectedItem: items[index]
+          });
+        } else {
+          Object.assign(effects, { selectedItem: null });
+        }
+      }
+
+      return effects;
+    }
+  }
+
+  return ItemsSelection;
+}
+
+// Select the item at the index, wrapping around if the selection wraps.
+// Return true if the selection changed.
+function selectIndex(element, index) {
+  const { items, selectedIndex, selectionWraps } = element[internal.state];
+  const count = items.length;
+  if (count === 0) {
+    return false;
+  }
+  const wrapped = ((index % count) + count) % count;
+  const clamped = Math.max(0, Math.min(index, count - 1));
+  const newIndex = selectionWraps ? wrapped : clamped;
+  element[internal.setState]({ selectedIndex: newIndex });
+  return newIndex !== selectedIndex;
+}
+
+// Take a fresh snapshot of the component's content.
+function updateContent(element) {
+  const delegate = element[internal.itemsDelegate];
+  const content = delegate
+    ? Array.from(delegate.items || [])
+    : Array.from(element.children);
+  element[internal.setState]({ content });
+}
@@ -0,0 +1,236 @@
+import * as internal from "./internal.js";
+import ReactiveElement from "../core/ReactiveElement.js"; // eslint-disable-line no-unused-vars
+
+// The distance a finger has to move before a touch turns into a swipe, so that
+// a tap still counts as a tap.
+const swipeThreshold = 5;
+
+// The speed, in pixels per millisecond, above which lifting the finger flings
+// the swipe onward, and below which the momentum of a fling runs out.
+const flingVelocity = 0.3;
+const stopVelocity = 0.02;
+
+// The fraction of its speed a fling keeps after each millisecond.
+const friction = 0.998;
+
+// How far back, in milliseconds, to look when measuring the finger's speed.
+const velocityWindow = 100;
+
+/** @type {any} */
+const gestureKey = Symbol("gesture");
+/** @type {any} */
+const momentumKey = Symbol("momentum");
+
+/**
+ * Lets the user swipe up and down on a touch screen.
+ *
+ * When the user drags a finger vertically across the element returned by
+ * `internal.swipeTarget`, the mixin invokes `internal.swipeStart`. Then, each
+ * time the finger travels the height of the swipe target, it invokes
+ * `internal.swipeUp` or `internal.swipeDown`. If the user lifts the finger
+ * while it's still moving quickly, the swipe carries on with momentum that
+ * gradually slows to a stop, invoking those methods along the way. Once the
+ * swipe has come to rest, the mixin invokes `internal.swipeUpComplete` or
+ * `internal.swipeDownComplete`, depending on which way the last swipe went.
+ *
+ * The component should set `touch-action: pan-x pinch-zoom` on the swipe
+ * target while swiping is allowed, so that the browser leaves vertical
+ * movement to the mixin instead of scrolling the page.
+ *
+ * While the user is swiping, `state.swipeFraction` is the distance toward the
+ * next swipe as a fraction of the swipe target's height: positive going up,
+ * negative going down. Otherwise, it's null.
+ *
+ * Touching the element while it's moving with momentum stops it there. Mouse
+ * input is ignored.
+ *
+ * @module TouchSwipeMixin
+ * @param {Constructor<ReactiveElement>} Base
+ */
+export default function TouchSwipeMixin(Base) {
+  // The class prototype added by the mixin.
+  class TouchSwipe extends Base {
+    get [internal.defaultState]() {
+      return Object.assign(super[internal.defaultState], {
+        swipeFraction: null
+      });
+    }
+
+    disconnectedCallback() {
+      if (super.disconnectedCallback) {
+        super.disconnectedCallback();
+      }
+      stopMomentum(this);
+    }
+
+    [internal.render](/** @type {ChangedFlags} */ changed) {
+      if (super[internal.render]) {
+        super[internal.render](changed);
+      }
+      if (this[internal.firstRender]) {
+        this.addEventListener("pointerdown", event => {
+          if (event.pointerType !== "mouse" && event.isPrimary) {
+            startGesture(this, event);
+          }
+        });
+        this.addEventListener("pointermove", event => {
+          const gesture = this[gestureKey];
+          if (gesture && event.pointerId === gesture.pointerId) {
+            moveGesture(this, event);
+          }
+        });
+        const end = (/** @type {PointerEvent} */ event) => {
+          const gesture = this[gestureKey];
+          if (gesture && event.pointerId === gesture.pointerId) {
+            endGesture(this, event);
+          }
+        };
+        this.addEventListener("pointercancel", end);
+        this.addEventListener("pointerup", end);
+      }
+    }
+
+    /**
+     * See [internal.swipeTarget](internal#internal.swipeTarget).
+     *
+     * @type {HTMLElement}
+     */
+    get [internal.swipeTarget]() {
+      const base = super[internal.swipeTarget];
+      return base || this;
+    }
+  }
+
+  return TouchSwipe;
+}
+
+// Move the swipe the given distance up (positive) or down (negative), invoking
+// a swipe method each time it travels the height of the swipe target.
+function advance(element, gesture, distance) {
+  const height = element[internal.swipeTarget].offsetHeight || 1;
+  gesture.distance += distance;
+  while (Math.abs(gesture.distance) >= height) {
+    const direction = Math.sign(gesture.distance);
+    gesture.distance -= direction * height;
+    gesture.direction = direction;
+    if (direction > 0 && element[internal.swipeUp]) {
+      element[internal.swipeUp]();
+    } else if (direction < 0 && element[internal.swipeDown]) {
+      element[internal.swipeDown]();
+    }
+  }
+  element[internal.setState]({ swipeFraction: gesture.distance / height });
+}
+
+// The swipe has come to rest.
+function completeSwipe(element, gesture) {
+  element[internal.setState]({ swipeFraction: null });
+  if (gesture.direction > 0 && element[internal.swipeUpComplete]) {
+    element[internal.swipeUpComplete]();
+  } else if (gesture.direction < 0 && element[internal.swipeDownComplete]) {
+    element[internal.swipeDownComplete]();
+  }
+}
+
+// The finger has been lifted, or the browser has taken over the touch. A swipe
+// that's moving fast enough when the finger is lifted carries on by itself.
+function endGesture(element, event) {
+  const gesture = element[gestureKey];
+  element[gestureKey] = null;
+  if (!gesture.swiping) {
+    return;
+  }
+  const time = event.timeStamp || performance.now();
+  const velocity =
+    event.type === "pointerup" ? gestureVelocity(gesture, time) : 0;
+  if (Math.abs(velocity) < flingVelocity) {
+    completeSwipe(element, gesture);
+    return;
+  }
+  const momentum = { frame: 0, gesture, time: performance.now(), velocity };
+  const step = (/** @type {number} */ time) => {
+    // Slow down according to the time since the last frame, so the fling
+    // covers the same distance whatever the frame rate.
+    const elapsed = Math.max(time - momentum.time, 0);
+    const velocity = momentum.velocity * friction ** elapsed;
+    advance(element, gesture, ((momentum.velocity + velocity) / 2) * elapsed);
+    momentum.time = time;
+    momentum.velocity = velocity;
+    if (Math.abs(velocity) < stopVelocity) {
+      element[momentumKey] = null;
+      completeSwipe(element, gesture);
+    } else {
+      momentum.frame = requestAnimationFrame(step);
+    }
+  };
+  momentum.frame = requestAnimationFrame(step);
+  element[momentumKey] = momentum;
+}
+
+// Return the speed at which the finger was moving over the last moments of the
+// gesture, in pixels per millisecond, positive going up. A finger that came to
+// rest before it was lifted has no speed.
+function gestureVelocity(gesture, time) {
+  const { samples } = gesture;
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const elapsed = last.time - first.time;
+  return elapsed > 0 && time - last.time <= velocityWindow
+    ? (first.y - last.y) / elapsed
+    : 0;
+}
+
+// Follow the finger. Once it has moved far enough vertically, the touch
+// becomes a swipe.
+function moveGesture(element, event) {
+  const gesture = element[gestureKey];
+  const time = event.timeStamp || performance.now();
+  gesture.samples.push({ time, y: event.clientY });
+  while (time - gesture.samples[0].time > velocityWindow) {
+    gesture.samples.shift();
+  }
+  const distance = gesture.y - event.clientY;
+  gesture.y = event.clientY;
+
+  if (!gesture.swiping) {
+    if (Math.abs(gesture.startY - event.clientY) < swipeThreshold) {
+      return;
+    }
+    gesture.swiping = true;
+    if (element[internal.swipeStart]) {
+      element[internal.swipeStart](gesture.startX, gesture.startY);
+    }
+  }
+  advance(element, gesture, distance);
+}
+
+// A finger has touched the element. If it's on the swipe target, start
+// tracking it. A touch stops any swipe that was still moving with momentum.
+function startGesture(element, event) {
+  stopMomentum(element);
+  const target = element[internal.swipeTarget];
+  if (!event.composedPath().includes(target)) {
+    return;
+  }
+  const time = event.timeStamp || performance.now();
+  element[gestureKey] = {
+    direction: 0,
+    distance: 0,
+    pointerId: event.pointerId,
+    samples: [{ time, y: event.clientY }],
+    startX: event.clientX,
+    startY: event.clientY,
+    swiping: false,
+    y: event.clientY
+  };
+}
+
+// Stop any swipe moving with momentum where it is, which completes it.
+function stopMomentum(element) {
+  const momentum = element[momentumKey];
+  if (momentum) {
+    cancelAnimationFrame(momentum.frame);
+    element[momentumKey] = null;
+    completeSwipe(element, momentum.gesture);
+  }
+}
@@ -12,6 +12,7 @@
  * Symbol objects to be used at runtime as desired.
  */
 
+export const acceptsCharacter: "_acceptsCharacter";
 export const checkSize: "_checkSize";
 export const componentDidMount: "_componentDidMount";
 export const componentDidUpdate: "_componentDidUpdate";
@@ -23,6 +24,7 @@ export const effectEndTarget: "_effectEndTarget";
 export const event: "_event";
 export const firstRender: "_firstRender";
 export const focusTarget: "_focusTarget";
+export const formatValue: "_formatValue";
 export const getItemText: "_getItemText";
 export const goDown: "_goDown";
 export const goEnd: "_goEnd";
@@ -40,6 +42,7 @@ export const keydown: "_keydown";
 export const mouseenter: "_mouseenter";
 export const mouseleave: "_mouseleave";
 export const nativeInternals: "_nativeInternals";
+export const parseValue: "_parseValue";
 export const populate: "_populate";
 export const raiseChangeEvents: "_raiseChangeEvents";
 export const render: "_render";
@@ -53,6 +56,7 @@ export const shadowRootMode: "_shadowRootMode";
 export const startEffect: "_startEffect";
 export const state: "_state";
 export const stateEffects: "_stateEffects";
+export const stepValue: "_stepValue";
 export const swipeDown: "_swipeDown";
 export const swipeDownComplete: "_swipeDownComplete";
 export const swipeLeft: "_swipeLeft";
@@ -66,3 +70,4 @@ export const swipeUpComplete: "_swipeUpComplete";
 export const tap: "_tap";
 export const template: "_template";
 export const update: "_update";
+export const valueText: "_valueText";
@@ -33,6 +33,17 @@
 
 import * as coreInternal from "../core/internal.js";
 
+/**
+ * Symbol for the `acceptsCharacter` method.
+ *
+ * A component that lets the user edit a value as text, like
+ * [SpinBox](SpinBox), invokes this method to filter what the user types or
+ * pastes. The method receives a single character and returns true if that
+ * character can be part of a valid value. A subclass can override this to
+ * accept more characters, such as the letters of units, or fewer.
+ */
+export const acceptsCharacter = coreInternal.acceptsCharacter;
+
 /**
  * Symbol for the `checkSize` method.
  *
@@ -128,6 +139,21 @@ export const firstRender = coreInternal.firstRender;
  */
 export const focusTarget = coreInternal.focusTarget;
 
+/**
+ * Symbol for the `formatValue` method.
+ *
+ * A component that lets the user edit a value as text, like
+ * [SpinBox](SpinBox), invokes this method to obtain the text that represents
+ * a given value. A subclass can override this to show values in its own
+ * format, such as hexadecimal numbers or durations. The text should be
+ * something the component's [parseValue](#parseValue) method can read back.
+ *
+ * The method is passed the value and, optionally, the state whose locale and
+ * format to use, e.g., a proposed state in [stateEffects](#stateEffects). By
+ * default, that's the component's current state.
+ */
+export const formatValue = coreInternal.formatValue;
+
 /**
  * Symbol for the `getItemText` method.
  *
@@ -312,6 +338,18 @@ export const mouseleave = Symbol("mouseleave");
  */
 export const nativeInternals = coreInternal.nativeInternals;
 
+/**
+ * Symbol for the `parseValue` method.
+ *
+ * A component that lets the user edit a value as text, like
+ * [SpinBox](SpinBox), invokes this method to read the text the user types or
+ * the text assigned to the component's `value`. The method should return an
+ * object with the state the text represents, such as `{ value: 31 }`, or
+ * `null` if the text doesn't represent a valid value. It is the counterpart
+ * of [formatValue](#formatValue).
+ */
+export const parseValue = coreInternal.parseValue;
+
 /**
  * Symbol for the `raiseChangeEvents` property.
  *
@@ -450,11 +488,24 @@ export const state = coreInternal.state;
 
 export const stateEffects = coreInternal.stateEffects;
 
+/**
+ * Symbol for the `stepValue` method.
+ *
+ * A component that lets the user step a value up or down, like
+ * [SpinBox](SpinBox), invokes this method to obtain the value that results
+ * from taking a given number of steps from a given value. A negative number
+ * of steps goes down. A subclass can override this to step values that aren't
+ * plain numbers, such as one segment of a date or time.
+ */
+export const stepValue = coreInternal.stepValue;
+
 /**
  * Symbol for the `swipeDown` method.
  *
  * The swipe mixin [TouchSwipeMixin](TouchSwipeMixin) invokes this method when
- * the user finishes a gesture to swipe down.
+ * the user finishes a gesture to swipe down. A vertical swipe finishes one
+ * such gesture each time it travels the height of the swipe target, so a long
+ * swipe, or one that carries on with momentum, invokes this repeatedly.
  */
 export const swipeDown = Symbol("swipeDown");
 
@@ -463,6 +514,8 @@ export const swipeDown = Symbol("swipeDown");
  *
  * [SwipeCommandsMixin](SwipeCommandsMixin) invokes this method after any
  * animated transition associated with a swipe down has completed.
+ * [TouchSwipeMixin](TouchSwipeMixin) invokes it once a swipe whose last step
+ * went down has come to rest.
  */
 export const swipeDownComplete = Symbol("swipeDownComplete");
 
@@ -504,7 +557,9 @@ export const swipeRightTransitionEnd = Symbol("swipeRightTransitionEnd");
  * Symbol for the `swipeUp` method.
  *
  * The swipe mixin [TouchSwipeMixin](TouchSwipeMixin) invokes this method when
- * the user finishes a gesture to swipe up.
+ * the user finishes a gesture to swipe up. A vertical swipe finishes one such
+ * gesture each time it travels the height of the swipe target, so a long
+ * swipe, or one that carries on with momentum, invokes this repeatedly.
  */
 export const swipeUp = Symbol("swipeUp");
 
@@ -513,6 +568,8 @@ export const swipeUp = Symbol("swipeUp");
  *
  * [SwipeCommandsMixin](SwipeCommandsMixin) invokes this method after any
  * animated transition associated with a swipe up has completed.
+ * [TouchSwipeMixin](TouchSwipeMixin) invokes it once a swipe whose last step
+ * went up has come to rest.
  */
 export const swipeUpComplete = Symbol("swipeUpComplete");
 
@@ -537,7 +594,8 @@ export const swipeStart = Symbol("swipeStart");
  * The swipe target's `offsetWidth` is used by the mixin to calculate the
  * `state.swipeFraction` member when the user drags their finger. The
  * `swipeFraction` is the distance the user has dragged in the current drag
- * operation over that `offsetWidth`.
+ * operation over that `offsetWidth`. For vertical swipes, the target's
+ * `offsetHeight` is used instead.
  */
 export const swipeTarget = Symbol("swipeTarget");
 
@@ -558,11 +616,23 @@ export const tap = Symbol("tap");
  */
 export const template = coreInternal.template;
 
+
+/**
+ * Symbol for the `valueText` method.
+ *
+ * A component that lets the user edit a value as text, like
+ * [SpinBox](SpinBox), invokes this method to obtain the text assistive
+ * technologies read for a given value, e.g., as `aria-valuetext`. By default,
+ * that's the text from [formatValue](#formatValue). A subclass can override
+ * this to spell out what the text abbreviates, like "12 pixels" for "12px".
+ */
+export const valueText = coreInternal.valueText;
 // Expose internals as a global when debugging.
 const libdebug = new URLSearchParams(location.search).get("libdebug");
 if (libdebug === "true") {
   /** @type {any} */ (window).lib = {
     internal: {
+      acceptsCharacter,
       checkSize,
       componentDidMount,
       componentDidUpdate,
@@ -573,6 +643,7 @@ if (libdebug === "true") {
       effectEndTarget,
       event,
       focusTarget,
+      formatValue,
       getItemText,
       goDown,
       goEnd,
@@ -590,6 +661,7 @@ if (libdebug === "true") {
       mouseenter,
       mouseleave,
       nativeInternals,
+      parseValue,
       raiseChangeEvents,
       render,
       renderChanges,
@@ -600,6 +672,7 @@ if (libdebug === "true") {
       shadowRootMode,
       startEffect,
       state,
+      stepValue,
       swipeDown,
       swipeDownComplete,
       swipeLeft,
@@ -612,6 +685,7 @@ if (libdebug === "true") {
       swipeUpComplete,
       tap,
       template,
+      valueText,
     },
   };
 }
@@ -14,14 +14,17 @@ export const standardBooleanAttributes = {
 };
 
 // Memoized maps of attribute to property names and vice versa.
-// We initialize this with the special case of the tabindex (lowercase "i")
-// attribute, which is mapped to the tabIndex (capital "I") property.
+// We initialize this with the special cases of the tabindex (lowercase "i")
+// attribute, which is mapped to the tabIndex (capital "I") property, and the
+// readonly attribute, which is mapped to the readOnly property.
 /** @type {IndexedObject<string>} */
 const attributeToPropertyNames = {
+  readonly: "readOnly",
   tabindex: "tabIndex"
 };
 /** @type {IndexedObject<string>} */
 const propertyNamesToAttributes = {
+  readOnly: "readonly",
   tabIndex: "tabindex"
 };
 
@@ -12,15 +12,18 @@
  * Symbol objects to be used at runtime as desired.
  */
 
+export const acceptsCharacter: "_acceptsCharacter";
 export const componentDidMount: "_componentDidMount";
 export const componentDidUpdate: "_componentDidUpdate";
 export const defaultState: "_defaultState";
 export const delegatesFocus: "_delegatesFocus";
 export const firstRender: "_firstRender";
 export const focusTarget: "_focusTarget";
+export const formatValue: "_formatValue";
 export const hasDynamicTemplate: "_hasDynamicTemplate";
 export const ids: "_ids";
 export const nativeInternals: "_nativeInternals";
+export const parseValue: "_parseValue";
 export const raiseChangeEvents: "_raiseChangeEvents";
 export const render: "_render";
 export const renderChanges: "_renderChanges";
@@ -31,4 +34,6 @@ export const shadowRoot: "_shadowRoot";
 export const shadowRootMode: "_shadowRootMode";
 export const state: "_state";
 export const stateEffects: "_stateEffects";
+export const stepValue: "_stepValue";
 export const template: "_template";
+export const valueText: "_valueText";
@@ -29,6 +29,17 @@
  * "template", it can do so without affecting the above property setter.
  */
 
+/**
+ * Symbol for the `acceptsCharacter` method.
+ *
+ * A component that lets the user edit a value as text, like
+ * [SpinBox](SpinBox), invokes this method to filter what the user types or
+ * pastes. The method receives a single character and returns true if that
+ * character can be part of a valid value. A subclass can override this to
+ * accept more characters, such as the letters of units, or fewer.
+ */
+export const acceptsCharacter = Symbol("acceptsCharacter");
+
 /**
  * Symbol for the `componentDidMount` method.
  *
@@ -86,6 +97,21 @@ export const firstRender = Symbol("firstRender");
  */
 export const focusTarget = Symbol("focusTarget");
 
+/**
+ * Symbol for the `formatValue` method.
+ *
+ * A component that lets the user edit a value as text, like
+ * [SpinBox](SpinBox), invokes this method to obtain the text that represents
+ * a given value. A subclass can override this to show values in its own
+ * format, such as hexadecimal numbers or durations. The text should be
+ * something the component's [parseValue](#parseValue) method can read back.
+ *
+ * The method is passed the value and, optionally, the state whose locale and
+ * format to use, e.g., a proposed state in [stateEffects](#stateEffects). By
+ * default, that's the component's current state.
+ */
+export const formatValue = Symbol("formatValue");
+
 /**
  * Symbol for the `hasDynamicTemplate` property.
  *
@@ -115,6 +141,18 @@ export const ids = Symbol("ids");
  */
 export const nativeInternals = Symbol("nativeInternals");
 
+/**
+ * Symbol for the `parseValue` method.
+ *
+ * A component that lets the user edit a value as text, like
+ * [SpinBox](SpinBox), invokes this method to read the text the user types or
+ * the text assigned to the component's `value`. The method should return an
+ * object with the state the text represents, such as `{ value: 31 }`, or
+ * `null` if the text doesn't represent a valid value. It is the counterpart
+ * of [formatValue](#formatValue).
+ */
+export const parseValue = Symbol("parseValue");
+
 /**
  * Symbol for the `raiseChangeEvents` property.
  *
@@ -240,6 +278,17 @@ export const state = Symbol("state");
  */
 export const stateEffects = Symbol("stateEffects");
 
+/**
+ * Symbol for the `stepValue` method.
+ *
+ * A component that lets the user step a value up or down, like
+ * [SpinBox](SpinBox), invokes this method to obtain the value that results
+ * from taking a given number of steps from a given value. A negative number
+ * of steps goes down. A subclass can override this to step values that aren't
+ * plain numbers, such as one segment of a date or time.
+ */
+export const stepValue = Symbol("stepValue");
+
 /**
  * Symbol for the `template` method.
  *
@@ -247,3 +296,14 @@ export const stateEffects = Symbol("stateEffects");
  * component's template, which it will clone into a component's shadow root.
  */
 export const template = Symbol("template");
+
+/**
+ * Symbol for the `valueText` method.
+ *
+ * A component that lets the user edit a value as text, like
+ * [SpinBox](SpinBox), invokes this method to obtain the text assistive
+ * technologies read for a given value, e.g., as `aria-valuetext`. By default,
+ * that's the text from [formatValue](#formatValue). A subclass can override
+ * this to spell out what the text abbreviates, like "12 pixels" for "12px".
+ */
+export const valueText = Symbol("valueText");